@@ -0,0 +1,319 @@
+// Sentiment analysis pipeline - everything between fetched posts and a score
+//
+// preparePosts() filters spam and duplicates, applies the time window and
+// detects each post's language; analyzePosts() scores what is left. Nothing
+// here fetches anything, so the server and offline tools (replay) run the
+// exact same analysis. Settings come from the environment like the rest of
+// the service: BOOTSTRAP_RESAMPLES, CONFIDENCE_LEVEL, NORMALIZE_STEPS,
+// CHUNK_CHARS, MAX_CHUNKS, LANGUAGE_MODE and TOPIC_LIMIT.
+
+import { filterPosts } from './post-filters.js';
+import { scoreChunks } from './analyzers/index.js';
+import { parseSteps, createNormalizer, chunkText } from './normalize.js';
+import { detectLanguage, isEnglish, languageMix } from './language.js';
+import { textForCoin } from './aspects.js';
+import { extractTopics } from './topics.js';
+import { bootstrapInterval, effectiveSampleSize, MIN_RESAMPLES } from './statistics.js';
+
+// Share of the combined score that comes from comments when they are analyzed
+const COMMENT_WEIGHT = 0.4;
+
+// Non-English posts: 'all' scores them like English, 'en' drops them,
+// 'route' scores them with a word list for their language (dropped if there is none)
+export const LANGUAGE_MODES = ['all', 'en', 'route'];
+
+// Weighted sums of the combined score and of each analyzer's own score
+function createScoreTally(plan) {
+  const sums = Object.fromEntries(plan.members.map(({ analyzer }) => [analyzer.name, 0]));
+  const samples = [];
+  let combined = 0;
+  let totalWeight = 0;
+
+  return {
+    add(result, weight) {
+      combined += result.compound * weight;
+      for (const [name, value] of Object.entries(result.scores)) {
+        sums[name] += value * weight;
+      }
+      totalWeight += weight;
+      samples.push({ value: result.compound, weight });
+    },
+    // Individual { value, weight } pairs, for confidence intervals
+    samples: () => samples,
+    score: () => clampScore(totalWeight > 0 ? combined / totalWeight : 0),
+    analyzerScores: () => Object.fromEntries(
+      Object.entries(sums).map(([name, sum]) => [name, clampScore(totalWeight > 0 ? sum / totalWeight : 0)]),
+    ),
+  };
+}
+
+function clampScore(score) {
+  return Math.max(-1, Math.min(1, score));
+}
+
+// A post routed to its language's word list; every analyzer in the plan reports that score
+function scoreWithLanguageLexicon(lexicon, plan, text) {
+  const compound = lexicon.score(text);
+  return { compound, scores: Object.fromEntries(plan.members.map(({ analyzer }) => [analyzer.name, compound])) };
+}
+
+// analyzers: createAnalyzerSet(), coinMatcher: createCoinMatcher(),
+// coinSubreddits: { COIN: [subreddit, ...] }, languageLexicons: loadLanguageLexicons()
+export function createAnalysisPipeline({ analyzers, coinMatcher, coinSubreddits, filterConfig, languageLexicons }, env = process.env) {
+  // Bootstrap resamples and coverage for the score's confidence interval
+  const BOOTSTRAP_RESAMPLES = parseInt(env.BOOTSTRAP_RESAMPLES || '1000', 10);
+  if (!(BOOTSTRAP_RESAMPLES >= MIN_RESAMPLES)) {
+    throw new Error(`BOOTSTRAP_RESAMPLES must be at least ${MIN_RESAMPLES}`);
+  }
+  const CONFIDENCE_LEVEL = parseFloat(env.CONFIDENCE_LEVEL || '0.95');
+  // Markup cleanup before scoring (NORMALIZE_STEPS, comma-separated; all steps by default)
+  const normalizeText = createNormalizer(parseSteps(env.NORMALIZE_STEPS));
+  // Long posts are scored in sentence-aligned chunks rather than truncated
+  const CHUNK_OPTIONS = {
+    maxChars: parseInt(env.CHUNK_CHARS || '500', 10),
+    maxChunks: parseInt(env.MAX_CHUNKS || '20', 10),
+  };
+  // Raw text beyond what the chunks can hold is dropped before normalizing
+  const MAX_RAW_CHARS = CHUNK_OPTIONS.maxChars * CHUNK_OPTIONS.maxChunks * 2;
+  const DEFAULT_LANGUAGE_MODE = env.LANGUAGE_MODE || 'all';
+  if (!LANGUAGE_MODES.includes(DEFAULT_LANGUAGE_MODE)) {
+    throw new Error(`LANGUAGE_MODE must be one of ${LANGUAGE_MODES.join(', ')}`);
+  }
+  // Keyword topics returned per analysis (named topics are always included)
+  const TOPIC_LIMIT = parseInt(env.TOPIC_LIMIT || '10', 10);
+
+  // Subreddits that belong to one coin only; their posts are on topic without naming it
+  function dedicatedSubreddits(coin) {
+    const shared = new Set(
+      Object.entries(coinSubreddits)
+        .filter(([other]) => other !== coin)
+        .flatMap(([, subreddits]) => subreddits.map(sub => sub.toLowerCase())),
+    );
+    return new Set((coinSubreddits[coin] || []).map(sub => sub.toLowerCase()).filter(sub => !shared.has(sub)));
+  }
+
+  // Posts that mention the coin (or come from its own subreddits)
+  function selectRelevantPosts(posts, coin) {
+    const ownSubreddits = dedicatedSubreddits(coin);
+    const relevantPosts = posts.filter(post => ownSubreddits.has(post.subreddit?.toLowerCase())
+      || coinMatcher.mentionsCoin(`${post.title}\n${post.selftext}`, coin));
+
+    // If nothing names the coin (e.g. an unlabelled dump), score everything rather than nothing
+    if (relevantPosts.length === 0) {
+      return { posts, irrelevant: 0 };
+    }
+    return { posts: relevantPosts, irrelevant: posts.length - relevantPosts.length };
+  }
+
+  // Supported coins named in a piece of text
+  function findCoinMentions(text) {
+    return coinMatcher.mentions(text);
+  }
+
+  // Engagement-weighted score for a list of comments
+  function scoreComments(comments, coin, plan) {
+    const tally = createScoreTally(plan);
+    const breakdown = { positive: 0, negative: 0, neutral: 0 };
+
+    for (const comment of comments) {
+      const aspect = textForCoin(normalizeText(comment.body.substring(0, MAX_RAW_CHARS)), coin, findCoinMentions);
+      const result = scoreChunks(plan, chunkText(aspect.text, CHUNK_OPTIONS));
+      tally.add(result, Math.log10(Math.max(comment.score, 1) + 1));
+
+      if (result.compound >= 0.05) {
+        breakdown.positive++;
+      } else if (result.compound <= -0.05) {
+        breakdown.negative++;
+      } else {
+        breakdown.neutral++;
+      }
+    }
+
+    return {
+      score: tally.score(),
+      analyzerScores: tally.analyzerScores(),
+      samples: tally.samples(),
+      commentsAnalyzed: comments.length,
+      threadsSampled: new Set(comments.map(comment => comment.postId)).size,
+      breakdown,
+    };
+  }
+
+  // Spam/duplicate filtering, the time window (seconds, or null for all posts)
+  // and language handling, in that order. `routes` maps posts to the word list
+  // that scores them when language is 'route'.
+  function preparePosts(posts, { windowSeconds = null, language = DEFAULT_LANGUAGE_MODE } = {}) {
+    const filtered = filterPosts(posts, filterConfig);
+    let kept = filtered.posts;
+    const filters = {
+      postsFetched: posts.length,
+      postsKept: kept.length,
+      removed: filtered.removed,
+    };
+
+    if (windowSeconds) {
+      const cutoff = Date.now() / 1000 - windowSeconds;
+      kept = kept.filter(post => post.created && post.created >= cutoff);
+    }
+
+    // Report the language mix, then drop or route non-English posts as asked
+    const postLanguages = new Map(kept.map(post => [
+      post,
+      detectLanguage(normalizeText(`${post.title}\n${post.selftext}`.substring(0, MAX_RAW_CHARS))),
+    ]));
+    const routes = new Map();
+    const languages = { mode: language, mix: languageMix(postLanguages.values()), excluded: 0, routed: 0 };
+    const windowed = kept.length;
+    if (language !== 'all') {
+      kept = kept.filter(post => {
+        const postLanguage = postLanguages.get(post);
+        if (isEnglish(postLanguage)) return true;
+        if (language === 'route' && languageLexicons.has(postLanguage)) {
+          routes.set(post, languageLexicons.get(postLanguage));
+          return true;
+        }
+        languages.excluded++;
+        return false;
+      });
+      languages.routed = routes.size;
+    }
+
+    return { posts: kept, windowed, filters, languages, routes };
+  }
+
+  // Score posts with the chosen analyzer plan (VADER by default)
+  // Comments, when supplied, are scored separately and blended into the final score.
+  // `routes` maps non-English posts to the word list for their language
+  function analyzePosts(posts, coin, comments = [], plan = analyzers.plan(), routes = new Map()) {
+    if (posts.length === 0) {
+      return {
+        sentiment: 'neutral',
+        score: 0,
+        confidence: 0,
+        confidenceInterval: null,
+        effectiveSampleSize: 0,
+        postsAnalyzed: 0,
+        irrelevantPosts: 0,
+        multiCoinPosts: 0,
+        breakdown: { positive: 0, negative: 0, neutral: 0 },
+        topPosts: [],
+        topics: [],
+        analyzerScores: {},
+      };
+    }
+
+    const { posts: postsToAnalyze, irrelevant } = selectRelevantPosts(posts, coin);
+
+    const tally = createScoreTally(plan);
+    const breakdown = { positive: 0, negative: 0, neutral: 0 };
+    const analyzedPosts = [];
+    const topicItems = [];
+    let multiCoinPosts = 0;
+
+    for (const post of postsToAnalyze) {
+      // Posts naming several coins only count the sentences aimed at this one
+      const text = normalizeText(`${post.title}\n${post.selftext}`.substring(0, MAX_RAW_CHARS));
+      const aspect = textForCoin(text, coin, findCoinMentions);
+      if (aspect.multiCoin) multiCoinPosts++;
+      const languageLexicon = routes.get(post);
+      const result = languageLexicon
+        ? scoreWithLanguageLexicon(languageLexicon, plan, aspect.text)
+        : scoreChunks(plan, chunkText(aspect.text, CHUNK_OPTIONS));
+      topicItems.push({ text: aspect.text, score: result.compound });
+
+      // Weight by engagement
+      const engagement = Math.log10(Math.max(post.score, 1) + Math.max(post.numComments, 1) + 1);
+      tally.add(result, engagement);
+
+      // Categorize
+      if (result.compound >= 0.05) {
+        breakdown.positive++;
+      } else if (result.compound <= -0.05) {
+        breakdown.negative++;
+      } else {
+        breakdown.neutral++;
+      }
+
+      analyzedPosts.push({
+        title: (post.title || post.selftext).substring(0, 120),
+        subreddit: post.subreddit,
+        score: result.compound.toFixed(3),
+        engagement: post.score,
+      });
+    }
+
+    const postScore = tally.score();
+
+    // Blend in comment sentiment when comments were fetched
+    const commentAnalysis = comments.length > 0 ? scoreComments(comments, coin, plan) : null;
+    const blend = (postValue, commentValue) => (commentAnalysis
+      ? postValue * (1 - COMMENT_WEIGHT) + commentValue * COMMENT_WEIGHT
+      : postValue);
+    const normalizedScore = blend(postScore, commentAnalysis?.score);
+
+    const analyzerScores = Object.fromEntries(Object.entries(tally.analyzerScores()).map(([name, value]) => [
+      name,
+      parseFloat(blend(value, commentAnalysis?.analyzerScores[name]).toFixed(3)),
+    ]));
+
+    // Determine sentiment label
+    let sentimentLabel;
+    if (normalizedScore >= 0.5) sentimentLabel = 'very bullish';
+    else if (normalizedScore >= 0.15) sentimentLabel = 'bullish';
+    else if (normalizedScore <= -0.5) sentimentLabel = 'very bearish';
+    else if (normalizedScore <= -0.15) sentimentLabel = 'bearish';
+    else sentimentLabel = 'neutral';
+
+    // Legacy confidence based on sample size and agreement, kept for existing clients
+    const total = breakdown.positive + breakdown.negative + breakdown.neutral;
+    const maxCategory = Math.max(breakdown.positive, breakdown.negative, breakdown.neutral);
+    const agreement = total > 0 ? maxCategory / total : 0;
+    const sampleBonus = Math.min(total / 30, 1) * 0.25;
+    const confidence = Math.min(agreement * 0.75 + sampleBonus, 0.95);
+
+    // Bootstrap interval for the same weighted (and blended) score
+    const sampleGroups = commentAnalysis
+      ? [{ samples: tally.samples(), share: 1 - COMMENT_WEIGHT }, { samples: commentAnalysis.samples, share: COMMENT_WEIGHT }]
+      : [{ samples: tally.samples(), share: 1 }];
+    const interval = bootstrapInterval(sampleGroups, { resamples: BOOTSTRAP_RESAMPLES, level: CONFIDENCE_LEVEL });
+    const effectiveSamples = sampleGroups.reduce((sum, group) => sum + effectiveSampleSize(group.samples), 0);
+
+    // Sort by engagement for top posts
+    analyzedPosts.sort((a, b) => b.engagement - a.engagement);
+
+    return {
+      sentiment: sentimentLabel,
+      score: parseFloat(normalizedScore.toFixed(3)),
+      confidence: parseFloat(confidence.toFixed(2)),
+      confidenceInterval: {
+        method: interval.method,
+        level: interval.level,
+        lower: interval.lower === null ? null : parseFloat(interval.lower.toFixed(3)),
+        upper: interval.upper === null ? null : parseFloat(interval.upper.toFixed(3)),
+        standardError: interval.standardError === null ? null : parseFloat(interval.standardError.toFixed(4)),
+        resamples: interval.resamples,
+      },
+      effectiveSampleSize: parseFloat(effectiveSamples.toFixed(1)),
+      postsAnalyzed: postsToAnalyze.length,
+      irrelevantPosts: irrelevant,
+      multiCoinPosts,
+      breakdown,
+      topPosts: analyzedPosts.slice(0, 5),
+      // The coin's own names are not a topic
+      topics: extractTopics(topicItems, { limit: TOPIC_LIMIT, ignore: word => coinMatcher.mentionsCoin(word, coin) }),
+      postScore: parseFloat(postScore.toFixed(3)),
+      analyzerScores,
+      comments: commentAnalysis && {
+        ...commentAnalysis,
+        score: parseFloat(commentAnalysis.score.toFixed(3)),
+      },
+    };
+  }
+
+  return {
+    defaultLanguage: DEFAULT_LANGUAGE_MODE,
+    selectRelevantPosts,
+    preparePosts,
+    analyzePosts,
+  };
+}
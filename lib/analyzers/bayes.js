@@ -0,0 +1,92 @@
+// Naive Bayes - a small local model trained at startup on labelled posts
+//
+// The training file is JSON Lines of { text, label } with labels positive,
+// negative or neutral. Words after a negation are marked (not_good) so the
+// model can tell "good" from "not good". Token log-likelihoods are averaged
+// rather than summed so long posts don't saturate, and the score is
+// P(positive) - P(negative).
+
+import { readFileSync } from 'node:fs';
+import { tokenize } from './wordlist.js';
+
+const DEFAULT_TRAINING_PATH = new URL('../../models/crypto-posts.jsonl', import.meta.url);
+
+const LABELS = ['positive', 'negative', 'neutral'];
+const NEGATIONS = new Set(['not', 'no', 'never', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'wont', 'aint']);
+
+export function loadExamples(path = process.env.BAYES_TRAINING_PATH || DEFAULT_TRAINING_PATH) {
+  return readFileSync(path, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, i) => {
+      const example = JSON.parse(line);
+      if (!LABELS.includes(example.label) || typeof example.text !== 'string') {
+        throw new Error(`Training example ${i + 1} in ${path} needs text and a label of ${LABELS.join(', ')}`);
+      }
+      return example;
+    });
+}
+
+export function features(text) {
+  const result = [];
+  let negate = 0;
+  for (const token of tokenize(text)) {
+    if (NEGATIONS.has(token)) {
+      negate = 3;
+      result.push(token);
+      continue;
+    }
+    result.push(negate > 0 ? `not_${token}` : token);
+    negate--;
+  }
+  return result;
+}
+
+// Multinomial naive Bayes with add-one smoothing
+export function trainNaiveBayes(examples) {
+  const counts = Object.fromEntries(LABELS.map(label => [label, new Map()]));
+  const totals = Object.fromEntries(LABELS.map(label => [label, 0]));
+  const docs = Object.fromEntries(LABELS.map(label => [label, 0]));
+  const vocabulary = new Set();
+
+  for (const { text, label } of examples) {
+    docs[label]++;
+    for (const token of features(text)) {
+      counts[label].set(token, (counts[label].get(token) || 0) + 1);
+      totals[label]++;
+      vocabulary.add(token);
+    }
+  }
+
+  return {
+    labels: LABELS,
+    examples: examples.length,
+    logPrior: Object.fromEntries(LABELS.map(label => [label, Math.log((docs[label] + 1) / (examples.length + LABELS.length))])),
+    logLikelihood(label, token) {
+      return Math.log(((counts[label].get(token) || 0) + 1) / (totals[label] + vocabulary.size));
+    },
+    knows: token => vocabulary.has(token),
+  };
+}
+
+export function createBayesAnalyzer(model) {
+  return {
+    name: 'bayes',
+    label: `Naive Bayes (${model.examples} labelled posts)`,
+    score(text) {
+      const tokens = features(text).filter(model.knows);
+      if (tokens.length === 0) return 0;
+
+      const logScores = model.labels.map(label => {
+        const likelihood = tokens.reduce((sum, token) => sum + model.logLikelihood(label, token), 0);
+        return model.logPrior[label] + likelihood / tokens.length;
+      });
+      const max = Math.max(...logScores);
+      const weights = logScores.map(value => Math.exp(value - max));
+      const total = weights.reduce((sum, value) => sum + value, 0);
+      const probability = Object.fromEntries(model.labels.map((label, i) => [label, weights[i] / total]));
+
+      return probability.positive - probability.negative;
+    },
+  };
+}
@@ -0,0 +1,109 @@
+// Sentiment analyzers - interchangeable text scorers and a weighted ensemble
+//
+// An analyzer is { name, label, score(text) => number } returning a compound
+// score from -1 (negative) to 1 (positive), like VADER's compound score.
+//
+// Requests pick a scoring plan by name: a single analyzer, or 'ensemble',
+// which averages every analyzer with the weights from ANALYZER_WEIGHTS
+// (e.g. "vader:0.5,wordlist:0.25,bayes:0.25"). ANALYZER sets the default.
+
+import { createVaderAnalyzer } from './vader.js';
+import { loadWordList, createWordListAnalyzer } from './wordlist.js';
+import { loadExamples, trainNaiveBayes, createBayesAnalyzer } from './bayes.js';
+
+export const ENSEMBLE = 'ensemble';
+
+const DEFAULT_WEIGHTS = 'vader:0.5,wordlist:0.25,bayes:0.25';
+
+export function parseWeights(spec) {
+  const weights = {};
+  for (const part of spec.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [name, value] = part.split(':').map(item => item.trim());
+    const weight = parseFloat(value);
+    if (!name || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid analyzer weight "${part}" (expected name:weight)`);
+    }
+    weights[name] = weight;
+  }
+  return weights;
+}
+
+export function createAnalyzerSet({ lexiconScorer }, env = process.env) {
+  const analyzers = {};
+  for (const analyzer of [
+    createVaderAnalyzer(lexiconScorer),
+    createWordListAnalyzer(loadWordList()),
+    createBayesAnalyzer(trainNaiveBayes(loadExamples())),
+  ]) {
+    analyzers[analyzer.name] = analyzer;
+  }
+
+  const weights = parseWeights(env.ANALYZER_WEIGHTS || DEFAULT_WEIGHTS);
+  for (const name of Object.keys(weights)) {
+    if (!Object.hasOwn(analyzers, name)) {
+      throw new Error(`ANALYZER_WEIGHTS names unknown analyzer "${name}" (known: ${Object.keys(analyzers).join(', ')})`);
+    }
+  }
+  // Weights are normalized to sum to 1
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) {
+    throw new Error('ANALYZER_WEIGHTS needs at least one analyzer with a positive weight');
+  }
+  const members = Object.entries(weights)
+    .filter(([, weight]) => weight > 0)
+    .map(([name, weight]) => ({ analyzer: analyzers[name], weight: weight / totalWeight }));
+
+  // A plan is { name, label, members: [{ analyzer, weight }] }
+  const plans = {};
+  for (const analyzer of Object.values(analyzers)) {
+    plans[analyzer.name] = { name: analyzer.name, label: analyzer.label, members: [{ analyzer, weight: 1 }] };
+  }
+  plans[ENSEMBLE] = {
+    name: ENSEMBLE,
+    label: `Ensemble (${members.map(({ analyzer, weight }) => `${analyzer.name} ${Math.round(weight * 100)}%`).join(', ')})`,
+    members,
+  };
+
+  const defaultName = env.ANALYZER || 'vader';
+  if (!Object.hasOwn(plans, defaultName)) {
+    throw new Error(`ANALYZER "${defaultName}" is not one of ${Object.keys(plans).join(', ')}`);
+  }
+
+  return {
+    names: Object.keys(plans),
+    defaultName,
+    plan: name => (Object.hasOwn(plans, name ?? '') ? plans[name] : plans[defaultName]),
+  };
+}
+
+// Combined and per-analyzer scores for one text
+export function scoreText(plan, text) {
+  const scores = {};
+  let compound = 0;
+  for (const { analyzer, weight } of plan.members) {
+    scores[analyzer.name] = analyzer.score(text);
+    compound += scores[analyzer.name] * weight;
+  }
+  return { compound, scores };
+}
+
+// Long texts are scored chunk by chunk; longer chunks count for more
+export function scoreChunks(plan, chunks) {
+  if (chunks.length === 1) return scoreText(plan, chunks[0]);
+
+  const scores = Object.fromEntries(plan.members.map(({ analyzer }) => [analyzer.name, 0]));
+  let compound = 0;
+  let totalLength = 0;
+  for (const chunk of chunks) {
+    const result = scoreText(plan, chunk);
+    compound += result.compound * chunk.length;
+    for (const [name, value] of Object.entries(result.scores)) {
+      scores[name] += value * chunk.length;
+    }
+    totalLength += chunk.length;
+  }
+  if (totalLength === 0) return scoreText(plan, '');
+
+  for (const name of Object.keys(scores)) scores[name] /= totalLength;
+  return { compound: compound / totalLength, scores };
+}
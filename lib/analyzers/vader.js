@@ -0,0 +1,9 @@
+// VADER with the crypto-slang lexicon layered on top
+
+export function createVaderAnalyzer(lexiconScorer) {
+  return {
+    name: 'vader',
+    label: `VADER (Valence Aware Dictionary and sEntiment Reasoner) + ${lexiconScorer.version}`,
+    score: text => lexiconScorer.polarityScores(text).compound,
+  };
+}
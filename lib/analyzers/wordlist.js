@@ -0,0 +1,44 @@
+// AFINN-style word list - sums integer word valences (-5..5)
+//
+// A negation within the three preceding words flips a word's valence.
+// The sum is squashed into -1..1 the same way VADER normalizes its scores.
+// Lists for other languages bring their own `negations`.
+
+import { readFileSync } from 'node:fs';
+
+const DEFAULT_WORDLIST_PATH = new URL('../../lexicons/crypto-wordlist.json', import.meta.url);
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without', 'cant', 'cannot', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'arent', 'wont', 'wouldnt', 'shouldnt', 'aint']);
+
+export function loadWordList(path = process.env.WORDLIST_PATH || DEFAULT_WORDLIST_PATH) {
+  const data = JSON.parse(readFileSync(path, 'utf8'));
+  if (!data.name || !data.version || !data.entries) {
+    throw new Error(`Word list ${path} needs name, version and entries`);
+  }
+  return data;
+}
+
+export function tokenize(text) {
+  return text.toLowerCase().replace(/https?:\/\/\S+/g, ' ').replace(/['’]/g, '').match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+export function createWordListAnalyzer(wordList) {
+  const entries = new Map(Object.entries(wordList.entries));
+  const negations = wordList.negations ? new Set(wordList.negations) : NEGATIONS;
+
+  return {
+    name: 'wordlist',
+    label: `Word list (${wordList.name}@${wordList.version})`,
+    score(text) {
+      const tokens = tokenize(text);
+      let sum = 0;
+      tokens.forEach((token, i) => {
+        const valence = entries.get(token);
+        if (valence === undefined) return;
+        const negated = tokens.slice(Math.max(0, i - 3), i).some(word => negations.has(word));
+        sum += negated ? -valence : valence;
+      });
+      return sum / Math.sqrt(sum * sum + 15);
+    },
+  };
+}
@@ -0,0 +1,78 @@
+// Aspect-level attribution - which parts of a post are about which coin
+//
+// "Dumping my DOGE to buy more ETH" is negative for DOGE and positive for
+// ETH, so scoring the whole post for either coin is wrong. Text is split
+// into sentences, and sentences naming more than one coin are split again
+// into clauses at contrast and switch words (but, while, to buy, ...).
+// Coordination and comparison ("ETH and BTC are great", "ETH is better than
+// ADA") are not split: the words after the second coin are about both.
+// Each piece goes to the coins it names; a piece naming none continues the
+// coins of the piece before it, and pieces before the first mention belong
+// to every coin the text names.
+//
+// `findMentions(text)` returns the coins a piece of text names.
+
+import { splitSentences } from './normalize.js';
+
+// Split before the connective so it stays with the clause it introduces
+const CLAUSE_BREAK = /\s*[;,]\s*|\s+(?=(?:but|while|whereas|although|though|however|instead|rather than|vs\.?|versus|to buy)\b)/i;
+
+// Fragments this short ("BTC", "both ETH") can't carry sentiment of their own
+const MIN_CLAUSE_WORDS = 3;
+
+export function splitClauses(sentence) {
+  const clauses = [];
+  let carry = '';
+  for (const part of sentence.split(CLAUSE_BREAK)) {
+    const clause = `${carry} ${part}`.trim();
+    if (!clause) continue;
+    if (clause.split(/\s+/).length < MIN_CLAUSE_WORDS) {
+      carry = clause;
+      continue;
+    }
+    clauses.push(clause);
+    carry = '';
+  }
+  if (carry) {
+    if (clauses.length > 0) clauses[clauses.length - 1] += ` ${carry}`;
+    else clauses.push(carry);
+  }
+  return clauses;
+}
+
+// [{ text, coins }] covering the whole text
+export function attributeText(text, findMentions) {
+  const pieces = [];
+  for (const sentence of splitSentences(text)) {
+    const coins = findMentions(sentence);
+    if (coins.length > 1) {
+      for (const clause of splitClauses(sentence)) {
+        pieces.push({ text: clause, coins: findMentions(clause) });
+      }
+    } else {
+      pieces.push({ text: sentence, coins });
+    }
+  }
+
+  const allCoins = [...new Set(pieces.flatMap(piece => piece.coins))];
+  let current = allCoins;
+  for (const piece of pieces) {
+    if (piece.coins.length > 0) current = piece.coins;
+    else piece.coins = current;
+  }
+
+  return { coins: allCoins, pieces };
+}
+
+// The part of `text` aimed at `coin`. Text naming no other coin is returned
+// whole; `multiCoin` tells whether it had to be narrowed.
+export function textForCoin(text, coin, findMentions) {
+  const { coins, pieces } = attributeText(text, findMentions);
+  if (coins.length <= 1 || !coins.includes(coin)) {
+    return { text, multiCoin: false };
+  }
+  return {
+    text: pieces.filter(piece => piece.coins.includes(coin)).map(piece => piece.text).join(' '),
+    multiCoin: true,
+  };
+}
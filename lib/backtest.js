@@ -0,0 +1,279 @@
+// Backtest stored sentiment against price - does the signal predict anything?
+//
+// Prices come from a local OHLC file per coin (PRICE_DATA_DIR/<COIN>.csv or
+// .json). Snapshots are sampled once per interval (the last one in each, i.e.
+// the signal a bot would have acted on), and every trade enters at the open
+// of the first candle at or after the snapshot, so nothing peeks ahead.
+// Snapshots outside the price file's range are left out.
+//
+// - correlation: sentiment score vs the next interval's return, with the
+//   return shifted by -maxLag..+maxLag intervals (positive = sentiment leads)
+// - hit rate: share of BULLISH signals followed by a rise (BEARISH by a fall)
+//   over each horizon
+// - strategy: long on bullish, short on bearish (or flat if longOnly), flat
+//   on neutral, re-evaluated every interval, with a fee per position change
+
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// '15m', '4h', '7d' => ms, or null
+export function parseDuration(value) {
+  const match = /^(\d+)([mhd])$/.exec(String(value || '').trim());
+  return match ? parseInt(match[1], 10) * DURATION_UNITS[match[2]] : null;
+}
+
+// ISO 8601, unix seconds or unix milliseconds => ms
+function parseTimestamp(value) {
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const number = Number(value);
+    return number < 1e12 ? number * 1000 : number;
+  }
+  return Date.parse(value);
+}
+
+const TIME_FIELDS = ['time', 'timestamp', 'date', 'datetime', 'open_time', 'opentime'];
+
+function toCandle(record) {
+  const at = parseTimestamp(TIME_FIELDS.map(field => record[field]).find(value => value !== undefined && value !== ''));
+  const candle = {
+    at,
+    open: parseFloat(record.open),
+    high: parseFloat(record.high),
+    low: parseFloat(record.low),
+    close: parseFloat(record.close),
+  };
+  return Object.values(candle).every(Number.isFinite) ? candle : null;
+}
+
+// CSV with a header row (time/timestamp/date, open, high, low, close, ...),
+// a JSON array of such objects, or a JSON array of [time, open, high, low, close]
+export function parsePrices(contents, filename) {
+  let records;
+  if (path.extname(filename).toLowerCase() === '.csv') {
+    const [header, ...rows] = contents.split(/\r?\n/).filter(line => line.trim());
+    const columns = header.split(',').map(column => column.trim().toLowerCase());
+    records = rows.map(row => {
+      const values = row.split(',');
+      return Object.fromEntries(columns.map((column, i) => [column, values[i]?.trim()]));
+    });
+  } else {
+    const data = JSON.parse(contents);
+    records = (Array.isArray(data) ? data : data.candles || data.prices || []).map(entry => (
+      Array.isArray(entry)
+        ? { time: entry[0], open: entry[1], high: entry[2], low: entry[3], close: entry[4] }
+        : Object.fromEntries(Object.entries(entry).map(([key, value]) => [key.toLowerCase(), value]))
+    ));
+  }
+
+  const candles = records.map(toCandle).filter(Boolean).sort((a, b) => a.at - b.at);
+  if (candles.length === 0) throw new Error(`No OHLC candles found in ${filename}`);
+  return candles;
+}
+
+// Candles for a coin from PRICE_DATA_DIR, or null if there is no file
+export function loadPrices(coin, dir = process.env.PRICE_DATA_DIR || './data/prices') {
+  for (const ext of ['.csv', '.json']) {
+    const file = path.join(dir, `${coin}${ext}`);
+    if (existsSync(file)) return parsePrices(readFileSync(file, 'utf8'), file);
+  }
+  return null;
+}
+
+// Open of the first candle at or after `time` (binary search), or null
+// outside the file's range
+function entryPrice(candles, time) {
+  if (time < candles[0].at || time > candles[candles.length - 1].at) return null;
+  let low = 0;
+  let high = candles.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (candles[mid].at < time) low = mid + 1;
+    else high = mid;
+  }
+  return candles[low].open;
+}
+
+function priceReturn(candles, from, to) {
+  const start = entryPrice(candles, from);
+  const end = entryPrice(candles, to);
+  return start && end ? end / start - 1 : null;
+}
+
+function correlation(pairs) {
+  const n = pairs.length;
+  if (n < 3) return null;
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (const [x, y] of pairs) {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  }
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+function round(value, digits = 4) {
+  return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+function direction(signal) {
+  if (signal === 'BULLISH' || signal === 'VERY_BULLISH') return 1;
+  if (signal === 'BEARISH' || signal === 'VERY_BEARISH') return -1;
+  return 0;
+}
+
+function formatDuration(ms) {
+  if (ms === 0) return '0m';
+  for (const [unit, size] of [['d', DURATION_UNITS.d], ['h', DURATION_UNITS.h], ['m', DURATION_UNITS.m]]) {
+    if (ms % size === 0) return `${ms / size}${unit}`;
+  }
+  return `${ms}ms`;
+}
+
+// The last snapshot in each interval within the price range, oldest first
+function sample(snapshots, candles, intervalMs) {
+  const first = candles[0].at;
+  const last = candles[candles.length - 1].at;
+  const samples = new Map();
+  for (const snapshot of snapshots) {
+    if (snapshot.at < first || snapshot.at > last) continue;
+    samples.set(Math.floor(snapshot.at / intervalMs), snapshot);
+  }
+  return [...samples.values()].sort((a, b) => a.at - b.at);
+}
+
+function leadLag(samples, candles, intervalMs, maxLag) {
+  const lags = [];
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    const pairs = [];
+    for (const snapshot of samples) {
+      const from = snapshot.at + lag * intervalMs;
+      const change = priceReturn(candles, from, from + intervalMs);
+      if (change !== null) pairs.push([snapshot.score, change]);
+    }
+    lags.push({ lag, lagTime: formatDuration(Math.abs(lag) * intervalMs), correlation: round(correlation(pairs)), pairs: pairs.length });
+  }
+  const best = lags
+    .filter(entry => entry.correlation !== null)
+    .sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation))[0] || null;
+  return { lags, best };
+}
+
+function hitRates(samples, candles, horizonMs) {
+  const sides = {
+    bullish: { signals: 0, hits: 0, returns: [] },
+    bearish: { signals: 0, hits: 0, returns: [] },
+  };
+  for (const snapshot of samples) {
+    const side = direction(snapshot.signal);
+    if (side === 0) continue;
+    const change = priceReturn(candles, snapshot.at, snapshot.at + horizonMs);
+    if (change === null) continue;
+    const tally = side > 0 ? sides.bullish : sides.bearish;
+    tally.signals++;
+    if (Math.sign(change) === side) tally.hits++;
+    tally.returns.push(change);
+  }
+
+  const summarize = ({ signals, hits, returns }) => ({
+    signals,
+    hits,
+    hitRate: signals > 0 ? round(hits / signals) : null,
+    averageReturn: returns.length > 0 ? round(returns.reduce((sum, value) => sum + value, 0) / returns.length, 5) : null,
+  });
+  const signals = sides.bullish.signals + sides.bearish.signals;
+  return {
+    horizon: formatDuration(horizonMs),
+    bullish: summarize(sides.bullish),
+    bearish: summarize(sides.bearish),
+    hitRate: signals > 0 ? round((sides.bullish.hits + sides.bearish.hits) / signals) : null,
+  };
+}
+
+function strategy(samples, candles, intervalMs, { feeBps, longOnly }) {
+  let equity = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  let position = 0;
+  let trades = 0;
+  let exposed = 0;
+  let periods = 0;
+  let start = null;
+  let end = null;
+
+  for (const snapshot of samples) {
+    const change = priceReturn(candles, snapshot.at, snapshot.at + intervalMs);
+    if (change === null) continue;
+    const target = longOnly ? Math.max(direction(snapshot.signal), 0) : direction(snapshot.signal);
+    if (target !== position) {
+      equity *= 1 - (Math.abs(target - position) * feeBps) / 10000;
+      trades++;
+      position = target;
+    }
+    equity *= 1 + position * change;
+    periods++;
+    start ??= snapshot.at;
+    end = snapshot.at + intervalMs;
+    if (position !== 0) exposed++;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, 1 - equity / peak);
+  }
+
+  // Held over exactly the periods the strategy traded
+  const buyAndHold = periods > 0 ? priceReturn(candles, start, end) : null;
+  return {
+    totalReturn: round(equity - 1),
+    buyAndHoldReturn: round(buyAndHold),
+    maxDrawdown: round(maxDrawdown),
+    trades,
+    periods,
+    exposure: periods > 0 ? round(exposed / periods) : null,
+    feeBps,
+    longOnly,
+  };
+}
+
+// snapshots: history-store snapshots of one coin and variant, oldest first
+export function runBacktest(snapshots, candles, options = {}) {
+  const intervalMs = options.intervalMs ?? DURATION_UNITS.h;
+  const horizons = options.horizons ?? [DURATION_UNITS.h, 4 * DURATION_UNITS.h, DURATION_UNITS.d];
+  const maxLag = options.maxLag ?? 24;
+  const feeBps = options.feeBps ?? 10;
+  const longOnly = Boolean(options.longOnly);
+
+  const samples = sample(snapshots, candles, intervalMs);
+  return {
+    interval: formatDuration(intervalMs),
+    samples: samples.length,
+    from: samples.length > 0 ? new Date(samples[0].at).toISOString() : null,
+    to: samples.length > 0 ? new Date(samples[samples.length - 1].at).toISOString() : null,
+    priceRange: {
+      from: new Date(candles[0].at).toISOString(),
+      to: new Date(candles[candles.length - 1].at).toISOString(),
+      candles: candles.length,
+    },
+    correlation: leadLag(samples, candles, intervalMs, maxLag),
+    hitRates: horizons.map(horizonMs => hitRates(samples, candles, horizonMs)),
+    strategy: strategy(samples, candles, intervalMs, { feeBps, longOnly }),
+  };
+}
+
+// Query-string / command-line style options; anything unparseable keeps its default
+export function parseBacktestOptions(params = {}) {
+  const options = {};
+  const intervalMs = parseDuration(params.interval);
+  if (intervalMs) options.intervalMs = intervalMs;
+  const horizons = String(params.horizons || '').split(',').map(parseDuration).filter(Boolean);
+  if (horizons.length > 0) options.horizons = horizons;
+  const maxLag = parseInt(params.lags, 10);
+  if (maxLag >= 0) options.maxLag = Math.min(maxLag, 168);
+  const feeBps = parseFloat(params.fee);
+  if (feeBps >= 0) options.feeBps = feeBps;
+  options.longOnly = params.longOnly === true || params.longOnly === 'true';
+  return options;
+}
@@ -0,0 +1,82 @@
+// Coin mention matcher - finds which coins a piece of text is about
+//
+// Each coin has an alias entry:
+//   tickers       matched as whole words in any case ("btc", "BTC") and as cashtags ("$btc")
+//   strictTickers tickers that are also English words ("LINK", "DOT"): only ALL CAPS or a cashtag counts
+//   names         names and nicknames matched as whole words, case-insensitively ("sats", "ether", "₿")
+//   exclude       phrases that look like a mention but aren't ("polka dot", "link in bio");
+//                 they are blanked out before matching
+//
+// The table comes from the coin registry (coins.json) and can be extended or
+// overridden per coin with COIN_ALIASES_CONFIG, a JSON file keyed by ticker.
+
+import { readFileSync } from 'node:fs';
+
+// aliases: the registry's table, e.g. coinRegistry.aliases()
+export function loadCoinAliases(aliases, env = process.env) {
+  if (!env.COIN_ALIASES_CONFIG) return aliases;
+
+  const custom = JSON.parse(readFileSync(env.COIN_ALIASES_CONFIG, 'utf8'));
+  return { ...aliases, ...custom };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word match: no letter, digit or $ on either side. Symbols like ₿ need no boundary
+function wordPattern(words, flags) {
+  if (words.length === 0) return null;
+  const alternatives = words.map(word => {
+    const escaped = escapeRegExp(word).replace(/\s+/g, '\\s+');
+    return /^[^\p{L}\p{N}]+$/u.test(word) ? escaped : `(?<![\\p{L}\\p{N}_$])${escaped}(?![\\p{L}\\p{N}_])`;
+  });
+  return new RegExp(alternatives.join('|'), flags);
+}
+
+// The tickers an alias entry matches: the coin's own symbol unless it lists any
+export function aliasTickers(coin, entry = {}) {
+  const tickers = entry.tickers || (entry.strictTickers ? [] : [coin]);
+  return { tickers, strictTickers: entry.strictTickers || [] };
+}
+
+function compile(coin, entry = {}) {
+  const { tickers, strictTickers } = aliasTickers(coin, entry);
+  const names = entry.names || [];
+  const cashtags = [...tickers, ...strictTickers];
+  return {
+    // An empty alternation would match every "$"
+    cashtag: cashtags.length > 0
+      ? new RegExp(`\\$(?:${cashtags.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'iu')
+      : null,
+    loose: wordPattern([...tickers, ...names], 'iu'),
+    strict: wordPattern(strictTickers, 'u'),
+    exclude: wordPattern(entry.exclude || [], 'giu'),
+  };
+}
+
+export function createCoinMatcher(aliases) {
+  const compiled = new Map();
+
+  function patternsFor(coin) {
+    if (!compiled.has(coin)) compiled.set(coin, compile(coin, aliases[coin]));
+    return compiled.get(coin);
+  }
+
+  function mentionsCoin(text, coin) {
+    const patterns = patternsFor(coin);
+    const cleaned = patterns.exclude ? text.replace(patterns.exclude, ' ') : text;
+    return Boolean(patterns.cashtag?.test(cleaned))
+      || Boolean(patterns.loose?.test(cleaned))
+      || Boolean(patterns.strict?.test(cleaned));
+  }
+
+  return {
+    mentionsCoin,
+
+    // Every coin in the alias table that the text names
+    mentions(text) {
+      return Object.keys(aliases).filter(coin => mentionsCoin(text, coin));
+    },
+  };
+}
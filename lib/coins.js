@@ -0,0 +1,159 @@
+// Coin registry - every supported coin and where its posts come from
+//
+// Coins are read from a JSON file (COINS_CONFIG, coins.json by default):
+//   {
+//     "coins": {
+//       "BTC": {
+//         "name": "Bitcoin",
+//         "enabled": true,
+//         "subreddits": ["bitcoin", "CryptoCurrency"],
+//         "aliases": { "tickers": ["BTC", "XBT"], "names": ["bitcoin", "sats"] },
+//         "searches": ["Bitcoin crypto cryptocurrency", { "query": "$BTC crypto", "limit": 30 }]
+//       }
+//     }
+//   }
+// aliases is a coin-matcher entry (tickers, strictTickers, names, exclude);
+// without one the ticker and name are matched. searches are Reddit search
+// queries (limit 50 unless given); without them a name and a cashtag search
+// are run. Disabled coins stay in the file but are not served or ingested.
+//
+// watch() re-reads the file whenever it changes, so coins can be added or
+// switched off without a restart. A file that doesn't parse is logged and the
+// coins already loaded are kept.
+
+import { readFileSync, watchFile, unwatchFile } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { aliasTickers } from './coin-matcher.js';
+
+const DEFAULT_COINS_PATH = fileURLToPath(new URL('../coins.json', import.meta.url));
+
+const SYMBOL_PATTERN = /^[A-Z0-9]{1,12}$/;
+const SEARCH_LIMIT = 50;
+
+function toSearch(search) {
+  if (typeof search === 'string') return { query: search, limit: SEARCH_LIMIT };
+  return { query: search.query, limit: parseInt(search.limit, 10) || SEARCH_LIMIT };
+}
+
+function defaultSearches(coin, name) {
+  return [
+    { query: `${name} crypto cryptocurrency`, limit: 50 },
+    { query: `$${coin} crypto`, limit: 30 },
+  ];
+}
+
+// { COIN: entry } from the file's contents; throws on anything unusable
+export function parseCoins(data, file = 'coin registry') {
+  if (!data?.coins || typeof data.coins !== 'object') {
+    throw new Error(`${file} needs a "coins" object keyed by ticker`);
+  }
+
+  const coins = {};
+  for (const [symbol, entry] of Object.entries(data.coins)) {
+    const coin = symbol.trim().toUpperCase();
+    if (!SYMBOL_PATTERN.test(coin)) {
+      throw new Error(`${file}: "${symbol}" is not a valid ticker`);
+    }
+    if (!Array.isArray(entry?.subreddits) || entry.subreddits.length === 0) {
+      throw new Error(`${file}: ${coin} needs at least one subreddit`);
+    }
+    if (entry.searches !== undefined && (!Array.isArray(entry.searches)
+      || entry.searches.some(search => !(typeof search === 'string' ? search : search?.query)))) {
+      throw new Error(`${file}: ${coin} searches must be query strings or { query, limit }`);
+    }
+    if (entry.aliases) {
+      const { tickers, strictTickers } = aliasTickers(coin, entry.aliases);
+      if (tickers.length + strictTickers.length === 0) {
+        throw new Error(`${file}: ${coin} aliases need at least one ticker or strict ticker`);
+      }
+    }
+
+    const name = entry.name || coin;
+    coins[coin] = {
+      coin,
+      name,
+      enabled: entry.enabled !== false,
+      subreddits: entry.subreddits.map(String),
+      aliases: entry.aliases || { names: [name.toLowerCase()] },
+      searches: entry.searches ? entry.searches.map(toSearch) : defaultSearches(coin, name),
+    };
+  }
+  return coins;
+}
+
+export function loadCoins(file = process.env.COINS_CONFIG || DEFAULT_COINS_PATH) {
+  return parseCoins(JSON.parse(readFileSync(file, 'utf8')), file);
+}
+
+export function createCoinRegistry({ file = process.env.COINS_CONFIG || DEFAULT_COINS_PATH } = {}) {
+  let coins = loadCoins(file);
+  let loadedAt = Date.now();
+  const listeners = [];
+
+  const enabled = () => Object.values(coins).filter(entry => entry.enabled);
+
+  function reload() {
+    try {
+      coins = loadCoins(file);
+      loadedAt = Date.now();
+    } catch (error) {
+      console.error(`❌ Coin registry not reloaded: ${error.message}`);
+      return false;
+    }
+    console.log(`🪙 Coin registry reloaded (${enabled().length} coins enabled)`);
+    for (const listener of listeners) listener();
+    return true;
+  }
+
+  return {
+    file,
+    get loadedAt() {
+      return loadedAt;
+    },
+
+    // Any coin in the file, enabled or not, or null
+    get(coin) {
+      return coins[String(coin).toUpperCase()] || null;
+    },
+
+    // Whether requests for this coin are served
+    supports(coin) {
+      return Boolean(coins[String(coin).toUpperCase()]?.enabled);
+    },
+
+    enabled,
+
+    symbols() {
+      return enabled().map(entry => entry.coin);
+    },
+
+    // Display name, falling back to the ticker for coins no longer in the file
+    nameOf(coin) {
+      return coins[coin]?.name || coin;
+    },
+
+    // { COIN: [subreddit, ...] } for the analysis pipeline
+    subreddits() {
+      return Object.fromEntries(enabled().map(entry => [entry.coin, entry.subreddits]));
+    },
+
+    // { COIN: alias entry } for the coin matcher
+    aliases() {
+      return Object.fromEntries(enabled().map(entry => [entry.coin, entry.aliases]));
+    },
+
+    reload,
+
+    // Re-read the file when it changes; onChange runs after each successful reload
+    watch(onChange, intervalMs = 2000) {
+      if (onChange) listeners.push(onChange);
+      watchFile(file, { interval: intervalMs }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) reload();
+      });
+    },
+
+    close() {
+      unwatchFile(file);
+    },
+  };
+}
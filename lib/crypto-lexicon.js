@@ -0,0 +1,114 @@
+// Crypto-slang lexicon - extends VADER with community terms it doesn't know
+//
+// The lexicon is a versioned JSON file ({ name, version, entries }) whose
+// entries map a word, emoji or multi-word phrase to a valence on VADER's
+// -4..4 scale. The default ships in lexicons/crypto-slang.json and can be
+// replaced with CRYPTO_LEXICON_PATH.
+//
+// vader-sentiment keeps its lexicon private, so we wrap its per-word
+// valence step instead: words found in the crypto lexicon get our valence
+// plus VADER's caps emphasis, negation and "least" handling; every other
+// word goes through VADER untouched.
+
+import { readFileSync } from 'node:fs';
+import vaderSentiment from 'vader-sentiment';
+
+const DEFAULT_LEXICON_PATH = new URL('../lexicons/crypto-slang.json', import.meta.url);
+
+const Analyzer = vaderSentiment.SentimentIntensityAnalyzer;
+
+// VADER's emphasis for an ALL CAPS word in mixed-case text
+const CAPS_INCREMENT = 0.733;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function loadLexicon(path = process.env.CRYPTO_LEXICON_PATH || DEFAULT_LEXICON_PATH) {
+  const data = JSON.parse(readFileSync(path, 'utf8'));
+
+  if (!data.name || !data.version || !data.entries || typeof data.entries !== 'object') {
+    throw new Error(`Lexicon ${path} needs name, version and entries`);
+  }
+  for (const [term, valence] of Object.entries(data.entries)) {
+    if (!Number.isFinite(valence) || Math.abs(valence) > 4) {
+      throw new Error(`Lexicon ${path}: "${term}" needs a valence between -4 and 4`);
+    }
+  }
+
+  return data;
+}
+
+function isUpper(word) {
+  return word === word.toUpperCase() && word !== word.toLowerCase();
+}
+
+let activeWords = null;
+
+// Installed once; only consulted while a lexicon scorer is running
+const vaderValence = Analyzer.sentiment_valence;
+Analyzer.sentiment_valence = function (valence, sentiText, item, i, sentiments) {
+  const lexiconValence = activeWords?.get(item.toLowerCase());
+  if (lexiconValence === undefined) {
+    return vaderValence.call(this, valence, sentiText, item, i, sentiments);
+  }
+
+  const words = sentiText.words_and_emoticons;
+  valence = lexiconValence;
+  if (isUpper(item) && sentiText.is_cap_diff) {
+    valence += valence > 0 ? CAPS_INCREMENT : -CAPS_INCREMENT;
+  }
+  // "not bullish", "never gonna moon", ...
+  for (let start = 0; start < 3; start++) {
+    if (i > start) valence = this.never_check(valence, words, start, i);
+  }
+  valence = this.least_check(valence, words, i);
+
+  sentiments.push(valence);
+  return sentiments;
+};
+
+export function createLexiconScorer(lexicon) {
+  const words = new Map();
+  const phrases = [];
+  const emoji = [];
+
+  for (const [term, valence] of Object.entries(lexicon.entries)) {
+    const key = term.toLowerCase().trim();
+    if (/\s/.test(key)) {
+      // Phrases become one underscore-joined token, which VADER keeps intact
+      const token = key.split(/\s+/).join('_');
+      phrases.push({ pattern: new RegExp(`\\b${key.split(/\s+/).map(escapeRegExp).join('\\s+')}\\b`, 'gi'), token });
+      words.set(token, valence);
+    } else {
+      if (!/^[\p{L}\p{N}]+$/u.test(key)) emoji.push(key);
+      words.set(key, valence);
+    }
+  }
+
+  // VADER splits on whitespace, so "🚀🚀" or "moon🚀" would be one unknown token
+  function prepare(text) {
+    let prepared = text;
+    for (const { pattern, token } of phrases) {
+      prepared = prepared.replace(pattern, token);
+    }
+    for (const symbol of emoji) {
+      prepared = prepared.split(symbol).join(` ${symbol} `);
+    }
+    return prepared;
+  }
+
+  return {
+    version: `${lexicon.name}@${lexicon.version}`,
+
+    // Same result shape as VADER's polarity_scores
+    polarityScores(text) {
+      activeWords = words;
+      try {
+        return Analyzer.polarity_scores(prepare(text));
+      } finally {
+        activeWords = null;
+      }
+    },
+  };
+}
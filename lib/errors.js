@@ -0,0 +1,49 @@
+// API errors - every error response has the same shape:
+//   { error: { code, message, details? } }
+//
+// Handlers and validators throw an ApiError (or pass one to next); the error
+// handler, registered after every route, turns it into the response. Any
+// other exception is logged and answered with a generic 500 INTERNAL_ERROR so
+// internals never reach the client.
+
+export class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function errorBody(code, message, details) {
+  return { error: { code, message, ...(details !== undefined && { details }) } };
+}
+
+// Express 4 doesn't forward rejected promises, so async handlers are wrapped
+export function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Registered after the routes: anything no route answered
+export function notFound(req, res, next) {
+  next(new ApiError(404, 'NOT_FOUND', `${req.method} ${req.path} is not an endpoint of this API`));
+}
+
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  if (error instanceof ApiError) {
+    return res.status(error.status).json(errorBody(error.code, error.message, error.details));
+  }
+  // Thrown by express.json() while reading the body
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(errorBody('INVALID_JSON', 'The request body is not valid JSON'));
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json(errorBody('BODY_TOO_LARGE', 'The request body is too large'));
+  }
+
+  console.error(`❌ ${req.method} ${req.originalUrl} failed:`, error);
+  res.status(500).json(errorBody('INTERNAL_ERROR', 'Something went wrong on our side. Please try again.'));
+}
@@ -0,0 +1,172 @@
+// Sentiment history - every computed result kept as a small snapshot
+//
+// Snapshots are held in memory and appended to an NDJSON log in the data
+// directory, like the post store. compact() drops snapshots older than the
+// retention period. bucketSnapshots() turns a range of snapshots into an
+// evenly spaced time series.
+
+import { mkdirSync, readFileSync, existsSync } from 'node:fs';
+import { appendFile, writeFile, rename } from 'node:fs/promises';
+import path from 'node:path';
+
+// Bucket sizes accepted by interval=
+export const INTERVALS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+
+// Results are only comparable over time within the same depth/window/analyzer/language,
+// so snapshots are stored and queried under this key
+export function variantKey({ depth, window, analyzer, language }) {
+  return `${depth}:${window || 'hot'}:${analyzer}:${language}`;
+}
+
+// The fields of a sentiment response worth keeping over time
+export function toSnapshot(result, variant) {
+  return {
+    coin: result.coin,
+    variant,
+    at: Date.parse(result.timestamp),
+    signal: result.signal,
+    score: result.score,
+    confidence: result.confidence,
+    lower: result.confidenceInterval?.lower ?? null,
+    upper: result.confidenceInterval?.upper ?? null,
+    postsAnalyzed: result.postsAnalyzed,
+    positive: result.positiveCount,
+    neutral: result.neutralCount,
+    negative: result.negativeCount,
+    zScore: result.momentum?.zScore ?? null,
+    volumeZScore: result.momentum?.volumeZScore ?? null,
+    anomalyReasons: result.momentum?.anomalyReasons ?? [],
+  };
+}
+
+export function createHistoryStore(options = {}) {
+  const dir = options.dir || './data';
+  const retentionMs = (options.retentionDays ?? 30) * 24 * 60 * 60 * 1000;
+  const logFile = path.join(dir, 'history.ndjson');
+
+  // coin -> snapshots in time order
+  const coins = new Map();
+  let writes = Promise.resolve();
+
+  function enqueue(write) {
+    writes = writes.catch(() => {}).then(write);
+    return writes;
+  }
+
+  function apply(snapshot) {
+    if (!coins.has(snapshot.coin)) coins.set(snapshot.coin, []);
+    const snapshots = coins.get(snapshot.coin);
+    snapshots.push(snapshot);
+    // Appends are nearly always newest; keep order if a clock step says otherwise
+    if (snapshots.length > 1 && snapshots[snapshots.length - 2].at > snapshot.at) {
+      snapshots.sort((a, b) => a.at - b.at);
+    }
+  }
+
+  async function rewriteLog() {
+    const cutoff = Date.now() - retentionMs;
+    const lines = [];
+    for (const [coin, snapshots] of coins) {
+      const kept = snapshots.filter(snapshot => snapshot.at >= cutoff);
+      coins.set(coin, kept);
+      lines.push(...kept.map(snapshot => JSON.stringify(snapshot)));
+    }
+
+    const tmpFile = `${logFile}.tmp`;
+    await writeFile(tmpFile, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    await rename(tmpFile, logFile);
+  }
+
+  return {
+    load() {
+      mkdirSync(dir, { recursive: true });
+      if (!existsSync(logFile)) return 0;
+
+      let count = 0;
+      for (const line of readFileSync(logFile, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          apply(JSON.parse(line));
+          count++;
+        } catch {
+          // A torn final line from a crash mid-append is safe to skip
+        }
+      }
+      return count;
+    },
+
+    add(snapshot) {
+      apply(snapshot);
+      return enqueue(() => appendFile(logFile, JSON.stringify(snapshot) + '\n'));
+    },
+
+    // Snapshots of one variant with from <= at <= to (ms), oldest first
+    query(coin, { variant, from = 0, to = Date.now() } = {}) {
+      return (coins.get(coin) || [])
+        .filter(snapshot => snapshot.variant === variant && snapshot.at >= from && snapshot.at <= to);
+    },
+
+    // Newest snapshot of one variant, or null
+    latest(coin, variant) {
+      const snapshots = coins.get(coin) || [];
+      for (let i = snapshots.length - 1; i >= 0; i--) {
+        if (snapshots[i].variant === variant) return snapshots[i];
+      }
+      return null;
+    },
+
+    compact() {
+      return enqueue(rewriteLog);
+    },
+  };
+}
+
+function average(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return null;
+  return present.reduce((sum, value) => sum + value, 0) / present.length;
+}
+
+function round(value, digits) {
+  return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+// One point per interval that has snapshots, averaging everything in it
+export function bucketSnapshots(snapshots, intervalMs) {
+  const buckets = new Map();
+  for (const snapshot of snapshots) {
+    const start = Math.floor(snapshot.at / intervalMs) * intervalMs;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(snapshot);
+  }
+
+  return [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, items]) => ({
+      time: new Date(start).toISOString(),
+      snapshots: items.length,
+      score: round(average(items.map(item => item.score)), 3),
+      scoreMin: round(Math.min(...items.map(item => item.score)), 3),
+      scoreMax: round(Math.max(...items.map(item => item.score)), 3),
+      confidence: round(average(items.map(item => item.confidence)), 2),
+      lower: round(average(items.map(item => item.lower)), 3),
+      upper: round(average(items.map(item => item.upper)), 3),
+      postsAnalyzed: round(average(items.map(item => item.postsAnalyzed)), 1),
+      positive: round(average(items.map(item => item.positive)), 1),
+      neutral: round(average(items.map(item => item.neutral)), 1),
+      negative: round(average(items.map(item => item.negative)), 1),
+    }));
+}
+
+export const CSV_COLUMNS = ['time', 'snapshots', 'score', 'scoreMin', 'scoreMax', 'confidence', 'lower', 'upper', 'postsAnalyzed', 'positive', 'neutral', 'negative'];
+
+export function toCsv(points) {
+  const rows = points.map(point => CSV_COLUMNS.map(column => point[column] ?? '').join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
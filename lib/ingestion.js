@@ -0,0 +1,48 @@
+// Background ingestion - keeps the post store warm for every coin
+//
+// Coins are ingested one after another, then the store is compacted.
+// The next cycle is scheduled from the end of the previous one so slow
+// cycles never overlap.
+
+export function startIngestion({ coins, ingestCoin, store, intervalMs }) {
+  let timer = null;
+  let stopped = false;
+
+  async function runCycle() {
+    const started = Date.now();
+    console.log(`\n🔄 Ingestion cycle started for ${coins().length} coins`);
+
+    for (const coin of coins()) {
+      if (stopped) return;
+      try {
+        const added = await ingestCoin(coin);
+        console.log(`   🔄 ${coin}: ${added} new posts stored`);
+      } catch (error) {
+        console.log(`   🔄 ${coin} ingestion error: ${error.message}`);
+      }
+    }
+
+    await store.compact();
+    console.log(`🔄 Ingestion cycle finished in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  }
+
+  async function loop() {
+    try {
+      await runCycle();
+    } catch (error) {
+      console.log(`🔄 Ingestion cycle failed: ${error.message}`);
+    }
+    if (!stopped) {
+      timer = setTimeout(loop, intervalMs);
+    }
+  }
+
+  loop();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
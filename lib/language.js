@@ -0,0 +1,92 @@
+// Offline language detection for posts
+//
+// Non-Latin scripts are recognised by their Unicode script (Cyrillic,
+// Han, Kana, Hangul, Arabic, Devanagari). Latin-script text is matched
+// against short lists of very common function words per language; the
+// language with the most hits wins if it has at least two and clearly beats
+// the runner-up. Anything else, including short posts like "BTC 🚀", is
+// 'und' (undetermined) and treated like English.
+//
+// Posts in other languages can be scored with a per-language word list
+// (lexicons/languages/<code>.json, same format as the crypto word list plus
+// its own `negations`) instead of the English analyzers.
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createWordListAnalyzer } from './analyzers/wordlist.js';
+
+const DEFAULT_LEXICON_DIR = fileURLToPath(new URL('../lexicons/languages', import.meta.url));
+
+const SCRIPTS = [
+  ['ru', /\p{Script=Cyrillic}/gu],
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ['zh', /\p{Script=Han}/gu],
+  ['ko', /\p{Script=Hangul}/gu],
+  ['ar', /\p{Script=Arabic}/gu],
+  ['hi', /\p{Script=Devanagari}/gu],
+];
+
+const FUNCTION_WORDS = {
+  en: 'the and is are was to of in that it for with this you not have be on but what my just they',
+  es: 'el la los las que de del en es por para con una un no se lo pero como más muy está son mi',
+  pt: 'o a os as que de do da em um uma não é para com por mais mas como está são meu você isso',
+  fr: 'le la les des que de du et est un une pas pour avec dans sur ce qui mais plus je il nous',
+  de: 'der die das und ist nicht ein eine ich zu mit den dem auf für von sich auch es wie aber noch',
+  it: 'il lo la gli che di e è un una non per con del della sono ma più come questo anche perché',
+  nl: 'de het een en is van dat niet op te met voor zijn maar ook dit wat als bij nog',
+  tr: 've bir bu da de için çok ama ne ile gibi daha olan var değil ben sen mi',
+};
+
+const WORD_SETS = Object.fromEntries(
+  Object.entries(FUNCTION_WORDS).map(([language, words]) => [language, new Set(words.split(' '))]),
+);
+
+export const UNDETERMINED = 'und';
+
+export function detectLanguage(text) {
+  const letters = text.match(/\p{L}/gu)?.length || 0;
+  if (letters === 0) return UNDETERMINED;
+
+  // A script covering a fifth of the letters decides on its own (Japanese uses Han too, so Kana goes first)
+  for (const [language, pattern] of SCRIPTS) {
+    const count = text.match(pattern)?.length || 0;
+    if (count / letters >= 0.2) return language;
+  }
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < 3) return UNDETERMINED;
+
+  const hits = Object.entries(WORD_SETS)
+    .map(([language, set]) => [language, words.filter(word => set.has(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, bestHits], [, secondHits]] = hits;
+
+  if (bestHits < 2 || bestHits < secondHits * 1.5) return UNDETERMINED;
+  return best;
+}
+
+export function isEnglish(language) {
+  return language === 'en' || language === UNDETERMINED;
+}
+
+// Counts per language, most common first
+export function languageMix(languages) {
+  const counts = {};
+  for (const language of languages) {
+    counts[language] = (counts[language] || 0) + 1;
+  }
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+}
+
+// Map of language code => word-list analyzer
+export function loadLanguageLexicons(dir = process.env.LANGUAGE_LEXICONS_DIR || DEFAULT_LEXICON_DIR) {
+  const lexicons = new Map();
+  for (const file of readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    const data = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+    const language = data.language || file.replace(/\.json$/, '');
+    if (!data.entries) throw new Error(`Language lexicon ${file} has no entries`);
+    lexicons.set(language, createWordListAnalyzer(data));
+  }
+  return lexicons;
+}
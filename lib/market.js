@@ -0,0 +1,96 @@
+// Market-wide sentiment index - one fear/greed-style number for all coins
+//
+// Per-coin scores (-1..1) are averaged with one of three weightings and
+// mapped onto a 0-100 gauge, where 50 is neutral:
+// - equal: every coin counts the same
+// - volume: coins count by how many posts were analyzed for them
+// - marketcap: coins count by market cap, from a table the operator
+//   (MARKET_CAPS_PATH) or the caller supplies; coins missing from it are left out
+//
+// A weighting that gives every coin zero weight (no coin in the cap table)
+// falls back to equal.
+
+import { readFileSync } from 'node:fs';
+
+export const WEIGHTINGS = ['equal', 'volume', 'marketcap'];
+
+// Upper bounds of each gauge band
+const GAUGE_LABELS = [
+  [24, 'Extreme Fear'],
+  [44, 'Fear'],
+  [55, 'Neutral'],
+  [75, 'Greed'],
+  [100, 'Extreme Greed'],
+];
+
+// { COIN: marketCap } from MARKET_CAPS_PATH, or null when none is configured
+export function loadMarketCaps(file = process.env.MARKET_CAPS_PATH) {
+  if (!file) return null;
+  return parseMarketCaps(JSON.parse(readFileSync(file, 'utf8')));
+}
+
+// Accepts { BTC: 1.3e12 } or "BTC:1.3e12,ETH:4.1e11"; non-positive values are dropped
+export function parseMarketCaps(table) {
+  const entries = typeof table === 'string'
+    ? table.split(',').map(pair => pair.split(':'))
+    : Object.entries(table || {});
+  const caps = {};
+  for (const [coin, value] of entries) {
+    const cap = parseFloat(value);
+    if (coin && cap > 0) caps[coin.trim().toUpperCase()] = cap;
+  }
+  return Object.keys(caps).length > 0 ? caps : null;
+}
+
+export function gaugeLabel(gauge) {
+  return GAUGE_LABELS.find(([upper]) => gauge <= upper)[1];
+}
+
+function round(value, digits) {
+  return parseFloat(value.toFixed(digits));
+}
+
+// results: per-coin sentiment results that have a score
+export function computeMarketIndex(results, { weighting = 'equal', marketCaps = null, top = 3 } = {}) {
+  const weights = {
+    equal: () => 1,
+    volume: result => result.postsAnalyzed,
+    marketcap: result => marketCaps?.[result.coin] || 0,
+  };
+  if (results.reduce((sum, result) => sum + weights[weighting](result), 0) <= 0) weighting = 'equal';
+  const weightOf = weights[weighting];
+
+  const totalPosts = results.reduce((sum, result) => sum + result.postsAnalyzed, 0);
+  const totalWeight = results.reduce((sum, result) => sum + weightOf(result), 0);
+  const score = totalWeight > 0
+    ? results.reduce((sum, result) => sum + result.score * weightOf(result), 0) / totalWeight
+    : 0;
+  const gauge = Math.round((score + 1) * 50);
+
+  const coins = results.map(result => ({
+    coin: result.coin,
+    name: result.name,
+    score: result.score,
+    signal: result.signal,
+    postsAnalyzed: result.postsAnalyzed,
+    volumeShare: totalPosts > 0 ? round(result.postsAnalyzed / totalPosts, 4) : 0,
+    weight: totalWeight > 0 ? round(weightOf(result) / totalWeight, 4) : 0,
+  }));
+  const byScore = [...coins]
+    .sort((a, b) => b.score - a.score)
+    .map(({ coin, name, score, signal }) => ({ coin, name, score, signal }));
+  // Split so no coin is both: with few coins the bearish side gets fewer
+  const bullishCount = Math.min(top, Math.ceil(byScore.length / 2));
+  const bearishCount = Math.min(top, byScore.length - bullishCount);
+
+  return {
+    score: round(score, 3),
+    gauge,
+    label: gaugeLabel(gauge),
+    weighting,
+    mostBullish: byScore.slice(0, bullishCount),
+    mostBearish: byScore.slice(byScore.length - bearishCount).reverse(),
+    coins: coins.sort((a, b) => b.volumeShare - a.volumeShare),
+    ...(weighting === 'marketcap' && { unweighted: coins.filter(coin => coin.weight === 0).map(coin => coin.coin) }),
+  };
+}
@@ -0,0 +1,85 @@
+// Momentum and anomaly detection over stored sentiment snapshots
+//
+// A single score can't say whether sentiment is turning. Deltas compare the
+// new score with the snapshot closest to 1h, 24h and 7d earlier. The z-scores
+// compare the new score and post volume with a rolling baseline: the hourly
+// averages of the previous week, so a burst of requests in one hour counts
+// once. A result is anomalous when either z-score passes the threshold.
+
+import { bucketSnapshots, INTERVALS } from './history-store.js';
+
+const HOUR = 60 * 60 * 1000;
+
+export const DELTA_PERIODS = {
+  '1h': HOUR,
+  '24h': 24 * HOUR,
+  '7d': 7 * 24 * HOUR,
+};
+
+// Floors on the baseline spread, so a perfectly flat history doesn't turn
+// the first small wobble into an infinite z-score
+const MIN_SCORE_STDDEV = 0.02;
+const MIN_VOLUME_STDDEV = 1;
+
+// A spread needs at least two points, whatever MOMENTUM_MIN_POINTS says
+const MIN_BASELINE_POINTS = 2;
+
+// How far back history is needed: the oldest delta plus its matching slack
+export const LOOKBACK_MS = DELTA_PERIODS['7d'] * 1.5;
+
+function meanAndStddev(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  return { mean, stddev: Math.sqrt(variance) };
+}
+
+// null when the baseline has no usable spread
+function zScore(value, values, minStddev) {
+  const { mean, stddev } = meanAndStddev(values);
+  const spread = Math.max(stddev, minStddev);
+  if (!Number.isFinite(spread) || spread <= 0) return null;
+  return parseFloat(((value - mean) / spread).toFixed(2));
+}
+
+// The latest snapshot at or before `target`, if it's within half a period of it
+function snapshotNear(snapshots, target, period) {
+  let found = null;
+  for (const snapshot of snapshots) {
+    if (snapshot.at > target) break;
+    found = snapshot;
+  }
+  return found && target - found.at <= period / 2 ? found : null;
+}
+
+// current: { at, score, postsAnalyzed }; history: earlier snapshots, oldest first
+export function measureMomentum(current, history, options = {}) {
+  const baselineMs = options.baselineMs ?? DELTA_PERIODS['7d'];
+  const minPoints = Math.max(options.minPoints ?? 12, MIN_BASELINE_POINTS);
+  const threshold = options.threshold ?? 3;
+
+  const deltas = {};
+  for (const [label, period] of Object.entries(DELTA_PERIODS)) {
+    const past = snapshotNear(history, current.at - period, period);
+    deltas[label] = past ? parseFloat((current.score - past.score).toFixed(3)) : null;
+  }
+
+  const baseline = bucketSnapshots(
+    history.filter(snapshot => snapshot.at >= current.at - baselineMs),
+    INTERVALS['1h'],
+  );
+  const enough = baseline.length >= minPoints;
+  const scoreZ = enough ? zScore(current.score, baseline.map(point => point.score), MIN_SCORE_STDDEV) : null;
+  const volumeZ = enough ? zScore(current.postsAnalyzed, baseline.map(point => point.postsAnalyzed), MIN_VOLUME_STDDEV) : null;
+
+  const anomalyReasons = [];
+  if (scoreZ !== null && Math.abs(scoreZ) >= threshold) anomalyReasons.push('sentiment');
+  if (volumeZ !== null && Math.abs(volumeZ) >= threshold) anomalyReasons.push('volume');
+
+  return {
+    deltas,
+    zScore: scoreZ,
+    volumeZScore: volumeZ,
+    baselinePoints: baseline.length,
+    anomalyReasons,
+  };
+}
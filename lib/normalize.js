@@ -0,0 +1,205 @@
+// Text normalization - clean Reddit markup before sentiment scoring
+//
+// Each step is a pure text => text function so it can be tested on its own.
+// createNormalizer() chains the steps named in NORMALIZE_STEPS (all of them
+// by default, in STEP_ORDER). chunkText() then splits long posts into
+// sentence-aligned chunks that are scored separately and averaged, instead
+// of cutting them off.
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  hellip: '...',
+  mdash: '-',
+  ndash: '-',
+  rsquo: "'",
+  lsquo: "'",
+  rdquo: '"',
+  ldquo: '"',
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Fenced and indented code blocks, and inline code
+export function stripCode(text) {
+  return text
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/~~~[\s\S]*?(~~~|$)/g, ' ')
+    .replace(/^(?: {4}|\t).*$/gm, '')
+    .replace(/`[^`\n]*`/g, ' ');
+}
+
+// Quoted replies ("> what they said") are someone else's sentiment
+export function stripQuotes(text) {
+  return text.replace(/^\s*(?:>|&gt;).*$/gm, '');
+}
+
+// Markdown links keep their text; bare URLs and subreddit/user links go
+export function stripUrls(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/https?:\/\/\S+|www\.\S+/gi, ' ')
+    .replace(/(^|\s)\/?[ru]\/\w+/g, '$1');
+}
+
+export function stripMarkdown(text) {
+  return text
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '')
+    .replace(/^\s*(?:[-*_]\s*){3,}$/gm, '')
+    .replace(/^\s*\|?(?:\s*:?-+:?\s*\|)+\s*:?-*:?\s*$/gm, '')
+    .replace(/\|/g, ' ')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+    .replace(/(?<!\w)_(\S(?:.*?\S)?)_(?!\w)/g, '$1')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/>!(.+?)!</g, '$1')
+    .replace(/\^\(([^)]*)\)|\^/g, '$1');
+}
+
+const EMOJI_SHORTCODES = {
+  rocket: '🚀',
+  gem: '💎',
+  chart_with_upwards_trend: '📈',
+  chart_with_downwards_trend: '📉',
+  ox: '🐂',
+  bear: '🐻',
+  skull: '💀',
+  fire: '🔥',
+  joy: '😂',
+  sob: '😭',
+  rage: '😡',
+  scream: '😱',
+  heart_eyes: '😍',
+  heart: '❤️',
+  thumbsup: '👍',
+  '+1': '👍',
+  thumbsdown: '👎',
+  '-1': '👎',
+  pray: '🙏',
+  cry: '😢',
+  clown_face: '🤡',
+  poop: '💩',
+};
+
+// Emoji VADER has no entry for, mapped to a word it does know.
+// Crypto emoji (🚀, 📈, 💎, ...) are left for the crypto lexicon.
+const EMOJI_WORDS = {
+  '😂': 'haha',
+  '🤣': 'haha',
+  '😭': 'crying',
+  '😢': 'sad',
+  '😡': 'angry',
+  '😱': 'scared',
+  '😍': 'love',
+  '❤️': 'love',
+  '❤': 'love',
+  '👍': 'good',
+  '👎': 'bad',
+  '🙏': 'hope',
+  '🤡': 'clown',
+  '💩': 'crap',
+};
+
+export function mapEmoji(text) {
+  let mapped = text.replace(/:([a-z0-9_+-]+):/gi, (match, name) => EMOJI_SHORTCODES[name.toLowerCase()] ?? match);
+  for (const [emoji, word] of Object.entries(EMOJI_WORDS)) {
+    mapped = mapped.split(emoji).join(` ${word} `);
+  }
+  return mapped;
+}
+
+// Only expansions that can't change sentiment by accident: no expansion
+// carries valence of its own (so no "to be honest" or "good morning"),
+// nothing introduces a negation, and no crypto slang the lexicon already scores
+export const ABBREVIATIONS = {
+  imo: 'in my opinion',
+  imho: 'in my humble opinion',
+  btw: 'by the way',
+  afaik: 'as far as i know',
+  iirc: 'if i remember correctly',
+  rn: 'right now',
+  bc: 'because',
+  fr: 'for real',
+  ser: 'sir',
+  dyor: 'do your own research',
+  ppl: 'people',
+};
+
+export function expandAbbreviations(text) {
+  return text.replace(/\b[a-z]+\b/gi, word => ABBREVIATIONS[word.toLowerCase()] ?? word);
+}
+
+// Collapse runs of spaces but keep line breaks, which mark sentence ends
+export function collapseWhitespace(text) {
+  return text
+    .replace(/[ \t\u00A0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export const STEPS = {
+  entities: decodeEntities,
+  code: stripCode,
+  quotes: stripQuotes,
+  urls: stripUrls,
+  markdown: stripMarkdown,
+  emoji: mapEmoji,
+  abbreviations: expandAbbreviations,
+};
+
+// Entities first so &gt; quotes are recognised; URLs before markdown so link syntax is intact
+export const STEP_ORDER = ['entities', 'code', 'quotes', 'urls', 'markdown', 'emoji', 'abbreviations'];
+
+export function parseSteps(spec) {
+  if (!spec) return STEP_ORDER;
+  const steps = spec.split(',').map(step => step.trim()).filter(Boolean);
+  for (const step of steps) {
+    if (!Object.hasOwn(STEPS, step)) {
+      throw new Error(`Unknown normalization step "${step}" (known: ${STEP_ORDER.join(', ')})`);
+    }
+  }
+  return steps;
+}
+
+export function createNormalizer(steps = STEP_ORDER) {
+  const pipeline = steps.map(step => STEPS[step]);
+  return text => collapseWhitespace(pipeline.reduce((result, step) => step(result), text));
+}
+
+const SENTENCE_BREAK = /(?<=[.!?])\s+|\n+/;
+
+export function splitSentences(text) {
+  return text.split(SENTENCE_BREAK).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+// Whole sentences packed into chunks of up to maxChars (a longer sentence
+// is its own chunk, cut at maxChars). At most maxChunks are returned.
+export function chunkText(text, { maxChars = 500, maxChunks = 20 } = {}) {
+  const chunks = [];
+  let current = '';
+  for (const sentence of splitSentences(text)) {
+    const piece = sentence.substring(0, maxChars);
+    if (current && current.length + piece.length + 1 > maxChars) {
+      chunks.push(current);
+      if (chunks.length >= maxChunks) return chunks;
+      current = '';
+    }
+    current = current ? `${current} ${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+  return chunks.slice(0, maxChunks);
+}
@@ -0,0 +1,170 @@
+// Post filters - drop spam, bots, cross-posts and reposts before scoring
+//
+// filterPosts() runs each enabled rule in order and reports how many posts
+// each one removed. Rules and the scam phrase list can be tuned with a JSON
+// file (SPAM_FILTERS_CONFIG) shaped like DEFAULT_FILTER_CONFIG.
+
+import { readFileSync } from 'node:fs';
+
+export const DEFAULT_FILTER_CONFIG = {
+  rules: {
+    duplicate: true,
+    stickied: true,
+    moderator: true,
+    scamPhrase: true,
+    linkOnly: true,
+    crosspost: true,
+    nearDuplicate: true,
+  },
+  // Jaccard similarity of word shingles at which two posts count as the same
+  nearDuplicateThreshold: 0.7,
+  // Posts with fewer words than this once URLs are removed are link-only
+  linkOnlyMinWords: 4,
+  scamPhrases: [
+    'giveaway',
+    'airdrop is live',
+    'claim your',
+    'claim free',
+    'free crypto',
+    'double your',
+    'send 1 get 2',
+    'guaranteed profit',
+    'guaranteed returns',
+    '100x gem',
+    'presale is live',
+    'join our telegram',
+    'join my telegram',
+    'dm me on',
+    'whatsapp',
+    'pump group',
+  ],
+};
+
+const URL_PATTERN = /https?:\/\/\S+|www\.\S+/gi;
+
+export function loadFilterConfig(env = process.env) {
+  if (!env.SPAM_FILTERS_CONFIG) return DEFAULT_FILTER_CONFIG;
+
+  const custom = JSON.parse(readFileSync(env.SPAM_FILTERS_CONFIG, 'utf8'));
+  return {
+    ...DEFAULT_FILTER_CONFIG,
+    ...custom,
+    rules: { ...DEFAULT_FILTER_CONFIG.rules, ...custom.rules },
+  };
+}
+
+function postText(post) {
+  return `${post.title} ${post.selftext}`;
+}
+
+function words(text) {
+  return text.toLowerCase().replace(URL_PATTERN, ' ').match(/[a-z0-9$]+/g) || [];
+}
+
+// Word 3-shingles; very short posts fall back to single words
+export function shingles(text) {
+  const tokens = words(text).slice(0, 150);
+  if (tokens.length < 3) return new Set(tokens);
+
+  const result = new Set();
+  for (let i = 0; i <= tokens.length - 3; i++) {
+    result.add(`${tokens[i]} ${tokens[i + 1]} ${tokens[i + 2]}`);
+  }
+  return result;
+}
+
+// Posts without any words (emoji-only, bare links) are never near-duplicates
+export function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Single-post rules: return true to drop the post
+const POST_RULES = {
+  stickied: post => post.stickied === true,
+  moderator: post => post.distinguished === 'moderator' || post.distinguished === 'admin',
+  scamPhrase: (post, config) => {
+    const text = postText(post).toLowerCase();
+    return config.scamPhrases.some(phrase => text.includes(phrase.toLowerCase()));
+  },
+  linkOnly: (post, config) => {
+    const text = postText(post);
+    const hasLink = post.isSelf === false || /https?:\/\/|www\./i.test(text);
+    return hasLink && words(text).length < config.linkOnlyMinWords;
+  },
+};
+
+export function filterPosts(posts, config = DEFAULT_FILTER_CONFIG) {
+  const removed = {};
+  for (const [rule, enabled] of Object.entries(config.rules)) {
+    if (enabled) removed[rule] = 0;
+  }
+
+  let kept = posts;
+
+  // Exact repeats by title (message text for title-less exports)
+  if (config.rules.duplicate) {
+    const seen = new Set();
+    kept = kept.filter(post => {
+      const key = (post.title || post.selftext).toLowerCase().substring(0, 50);
+      if (seen.has(key)) {
+        removed.duplicate++;
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  for (const [rule, drop] of Object.entries(POST_RULES)) {
+    if (!config.rules[rule]) continue;
+    kept = kept.filter(post => {
+      if (drop(post, config)) {
+        removed[rule]++;
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // Collapse cross-posts: keep one post per original (the original itself if present)
+  if (config.rules.crosspost) {
+    const ids = new Set(kept.map(post => post.id && `t3_${post.id}`));
+    const parentsSeen = new Set();
+    kept = kept.filter(post => {
+      if (!post.crosspostParent) return true;
+      if (ids.has(post.crosspostParent) || parentsSeen.has(post.crosspostParent)) {
+        removed.crosspost++;
+        return false;
+      }
+      parentsSeen.add(post.crosspostParent);
+      return true;
+    });
+  }
+
+  // Reposts with small edits; the most engaged copy is kept
+  if (config.rules.nearDuplicate) {
+    const ranked = [...kept].sort((a, b) => (b.score + b.numComments) - (a.score + a.numComments));
+    const keptShingles = [];
+    const survivors = new Set();
+
+    for (const post of ranked) {
+      const postShingles = shingles(postText(post));
+      const isRepost = keptShingles.some(other => jaccard(postShingles, other) >= config.nearDuplicateThreshold);
+      if (isRepost) {
+        removed.nearDuplicate++;
+        continue;
+      }
+      keptShingles.push(postShingles);
+      survivors.add(post);
+    }
+
+    kept = kept.filter(post => survivors.has(post));
+  }
+
+  return { posts: kept, removed };
+}
@@ -0,0 +1,131 @@
+// Post store - embedded, file-backed store for ingested posts
+//
+// Posts live in memory per coin, keyed by source + post id, and every
+// ingestion is appended to an NDJSON log so a restart comes back warm.
+// compact() rewrites the log from memory and drops posts that have not
+// been seen within the retention period.
+
+import { mkdirSync, readFileSync, existsSync } from 'node:fs';
+import { appendFile, writeFile, rename } from 'node:fs/promises';
+import path from 'node:path';
+
+// Stable identity for a post: Reddit id when present, else its title
+export function postKey(adapter, post) {
+  if (post.id) return `${adapter}:${post.id}`;
+  return `${adapter}:${(post.title || post.selftext).toLowerCase().substring(0, 50)}`;
+}
+
+export function createPostStore(options = {}) {
+  const dir = options.dir || './data';
+  const retentionMs = (options.retentionHours ?? 72) * 60 * 60 * 1000;
+  const logFile = path.join(dir, 'posts.ndjson');
+
+  // coin -> Map(key -> { adapter, seenAt, post })
+  const coins = new Map();
+  // coin -> { lastIngestedAt, ...ingestion info (scanned, sourceStatus) }
+  const meta = new Map();
+  // Appends and compaction share one queue so a rewrite never loses an append
+  let writes = Promise.resolve();
+
+  function enqueue(write) {
+    writes = writes.catch(() => {}).then(write);
+    return writes;
+  }
+
+  function coinEntries(coin) {
+    if (!coins.has(coin)) coins.set(coin, new Map());
+    return coins.get(coin);
+  }
+
+  function apply(record) {
+    if (record.type === 'meta') {
+      const { type, coin, ...info } = record;
+      meta.set(coin, info);
+      return;
+    }
+    coinEntries(record.coin).set(record.key, {
+      adapter: record.adapter,
+      seenAt: record.seenAt,
+      post: record.post,
+    });
+  }
+
+  // Rewrite the log from memory, dropping posts past retention
+  async function rewriteLog() {
+    const cutoff = Date.now() - retentionMs;
+    const lines = [];
+
+    for (const [coin, entries] of coins) {
+      for (const [key, entry] of entries) {
+        if (entry.seenAt < cutoff) {
+          entries.delete(key);
+          continue;
+        }
+        lines.push(JSON.stringify({ type: 'post', coin, key, ...entry }));
+      }
+    }
+    for (const [coin, info] of meta) {
+      lines.push(JSON.stringify({ type: 'meta', coin, ...info }));
+    }
+
+    const tmpFile = `${logFile}.tmp`;
+    await writeFile(tmpFile, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    await rename(tmpFile, logFile);
+  }
+
+  return {
+    // Replay the log into memory
+    load() {
+      mkdirSync(dir, { recursive: true });
+      if (!existsSync(logFile)) return 0;
+
+      let count = 0;
+      for (const line of readFileSync(logFile, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          apply(JSON.parse(line));
+          count++;
+        } catch {
+          // A torn final line from a crash mid-append is safe to skip
+        }
+      }
+      return count;
+    },
+
+    // Upsert posts for a coin; `info` is kept as the coin's ingestion metadata
+    // Returns how many posts were new
+    async addPosts(coin, items, info = {}) {
+      const entries = coinEntries(coin);
+      const seenAt = Date.now();
+      const records = [];
+      let added = 0;
+
+      for (const { adapter, post } of items) {
+        const key = postKey(adapter, post);
+        if (!entries.has(key)) added++;
+        records.push({ type: 'post', coin, key, adapter, seenAt, post });
+      }
+      records.push({ type: 'meta', coin, ...info, lastIngestedAt: seenAt });
+
+      records.forEach(apply);
+      await enqueue(() => appendFile(logFile, records.map(record => JSON.stringify(record)).join('\n') + '\n'));
+      return added;
+    },
+
+    // Posts seen for a coin within the last `maxAgeMs`
+    getPosts(coin, maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      return [...(coins.get(coin)?.values() || [])]
+        .filter(entry => entry.seenAt >= cutoff);
+    },
+
+    getMeta(coin) {
+      return meta.get(coin) || null;
+    },
+
+    // Drop expired posts and rewrite the log atomically
+    compact() {
+      return enqueue(rewriteLog);
+    },
+  };
+}
@@ -0,0 +1,266 @@
+// Reddit API client - app-only OAuth against oauth.reddit.com
+//
+// Requests are paced by a token bucket shared across every coin, and the
+// bucket follows Reddit's x-ratelimit-remaining / x-ratelimit-reset headers.
+// Without credentials (or when OAuth fails) it falls back to the public
+// JSON endpoints with rotated browser user agents.
+//
+// All base URLs are configurable so the client can run against a local mock.
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rotate user agents to reduce blocking on the public endpoints
+const BROWSER_USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+];
+
+function getPublicHeaders() {
+  return {
+    'User-Agent': BROWSER_USER_AGENTS[Math.floor(Math.random() * BROWSER_USER_AGENTS.length)],
+    'Accept': 'application/json',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Cache-Control': 'no-cache',
+  };
+}
+
+// Token bucket: `ratePerMinute` sustained, up to `burst` at once.
+// Callers are served in arrival order, except that background callers
+// (ingestion) always yield to interactive ones waiting at the same time.
+export function createTokenBucket({ ratePerMinute, burst }) {
+  let tokens = burst;
+  let last = Date.now();
+  let pausedUntil = 0;
+  const waiting = [];
+  let serving = false;
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 60000) * ratePerMinute);
+    last = now;
+  }
+
+  function settle(waiter) {
+    waiter.signal?.removeEventListener('abort', waiter.abort);
+    waiting.splice(waiting.indexOf(waiter), 1);
+    waiter.resolve();
+  }
+
+  // Hold every caller for at least `ms`
+  function pause(ms) {
+    refill();
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    tokens = 0;
+  }
+
+  // Hand out tokens one at a time, interactive waiters first
+  async function serve() {
+    serving = true;
+    while (waiting.length > 0) {
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+        continue;
+      }
+      refill();
+      if (tokens < 1) {
+        await sleep(((1 - tokens) / ratePerMinute) * 60000);
+        continue;
+      }
+      tokens -= 1;
+      settle(waiting.find(waiter => !waiter.background) || waiting[0]);
+    }
+    serving = false;
+  }
+
+  return {
+    // Resolves once a token is taken; an aborted `signal` gives up its place
+    // at once. `background` callers are served only when no one else waits.
+    take(signal, { background = false } = {}) {
+      if (signal?.aborted) return Promise.resolve();
+      return new Promise(resolve => {
+        const waiter = { signal, background, resolve };
+        waiter.abort = () => settle(waiter);
+        signal?.addEventListener('abort', waiter.abort);
+        waiting.push(waiter);
+        if (!serving) serve();
+      });
+    },
+
+    // Apply the server's view of our remaining budget
+    update(remaining, resetSeconds) {
+      if (!Number.isFinite(remaining) || !Number.isFinite(resetSeconds)) return;
+      refill();
+      if (remaining < 1) {
+        pause(resetSeconds * 1000);
+      } else {
+        tokens = Math.min(tokens, remaining);
+      }
+    },
+
+    pause,
+  };
+}
+
+export function createRedditClient(options = {}) {
+  const {
+    clientId,
+    clientSecret,
+    userAgent = 'node:genvox-crypto-sentiment:v2.2.0',
+    oauthBase = 'https://oauth.reddit.com',
+    tokenUrl = 'https://www.reddit.com/api/v1/access_token',
+    publicBase = 'https://www.reddit.com',
+    timeoutMs = 10000,
+    // Shortest wait after a 429 that doesn't say when to come back
+    rateLimitBackoffMs = 5000,
+  } = options;
+
+  const oauthEnabled = Boolean(clientId && clientSecret);
+  // Reddit allows ~100 requests/min with OAuth and far fewer without
+  const oauthBucket = createTokenBucket({ ratePerMinute: options.oauthRatePerMinute || 90, burst: 10 });
+  const publicBucket = createTokenBucket({ ratePerMinute: options.publicRatePerMinute || 30, burst: 5 });
+
+  let token = null;
+  let tokenExpiresAt = 0;
+  let tokenRequest = null;
+
+  // fetch with a per-request timeout, also aborted by the caller's signal
+  async function request(url, init, signal) {
+    signal?.throwIfAborted();
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } finally {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  function trackRateLimit(bucket, response) {
+    bucket.update(
+      parseFloat(response.headers.get('x-ratelimit-remaining')),
+      parseFloat(response.headers.get('x-ratelimit-reset')),
+    );
+  }
+
+  // A 429 always pauses the bucket: until Retry-After or the rate limit
+  // reset when Reddit sends one, never less than rateLimitBackoffMs
+  function backOff(bucket, response) {
+    const seconds = parseFloat(response.headers.get('retry-after') ?? response.headers.get('x-ratelimit-reset'));
+    bucket.pause(Math.max(rateLimitBackoffMs, Number.isFinite(seconds) ? seconds * 1000 : 0));
+  }
+
+  function httpError(response) {
+    const error = new Error(`returned ${response.status}`);
+    error.status = response.status;
+    return error;
+  }
+
+  async function fetchToken() {
+    const response = await request(tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': userAgent,
+      },
+      body: 'grant_type=client_credentials',
+    });
+
+    if (!response.ok) {
+      throw new Error(`token request ${httpError(response).message}`);
+    }
+
+    const data = await response.json();
+    if (!data.access_token) {
+      throw new Error('token response had no access_token');
+    }
+
+    token = data.access_token;
+    // Refresh a minute early so in-flight requests never carry an expired token
+    tokenExpiresAt = Date.now() + ((data.expires_in || 3600) - 60) * 1000;
+    console.log('   🔑 Reddit OAuth token acquired');
+    return token;
+  }
+
+  // One token request at a time, shared by all callers
+  async function getToken() {
+    if (token && Date.now() < tokenExpiresAt) return token;
+    if (!tokenRequest) {
+      tokenRequest = fetchToken().finally(() => {
+        tokenRequest = null;
+      });
+    }
+    return tokenRequest;
+  }
+
+  async function getOAuth(path, params, signal, background) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const accessToken = await getToken();
+      await oauthBucket.take(signal, { background });
+
+      const response = await request(`${oauthBase}${path}?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'User-Agent': userAgent,
+          'Accept': 'application/json',
+        },
+      }, signal);
+      trackRateLimit(oauthBucket, response);
+
+      // Token revoked or expired early - fetch a new one and retry
+      if (response.status === 401 && attempt === 0) {
+        token = null;
+        continue;
+      }
+      // The bucket is now paused, so retrying waits out the backoff
+      if (response.status === 429) backOff(oauthBucket, response);
+      if (response.status === 429 && attempt === 0) {
+        console.log(`   Rate limited on ${path}, waiting for reset...`);
+        continue;
+      }
+      if (!response.ok) throw httpError(response);
+
+      return response.json();
+    }
+  }
+
+  async function getPublic(path, params, signal, background) {
+    await publicBucket.take(signal, { background });
+
+    const response = await request(`${publicBase}${path}.json?${params}`, {
+      headers: getPublicHeaders(),
+    }, signal);
+    trackRateLimit(publicBucket, response);
+    if (response.status === 429) backOff(publicBucket, response);
+
+    if (!response.ok) throw httpError(response);
+    return response.json();
+  }
+
+  return {
+    authenticated: oauthEnabled,
+
+    // GET a Reddit API path (e.g. /r/bitcoin/hot) and return the parsed JSON.
+    // `background` requests (ingestion) wait until interactive ones are served.
+    async get(path, query = {}, { signal, background = false } = {}) {
+      const params = new URLSearchParams({ ...query, raw_json: '1' });
+
+      if (oauthEnabled) {
+        try {
+          return await getOAuth(path, params, signal, background);
+        } catch (error) {
+          // A 404 or 403 is an answer, not an auth problem - don't retry it unauthenticated
+          if (signal?.aborted || error.status === 403 || error.status === 404) throw error;
+          console.log(`   Reddit OAuth ${path} ${error.message}, falling back to public API`);
+        }
+      }
+
+      return getPublic(path, params, signal, background);
+    },
+  };
+}
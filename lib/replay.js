@@ -0,0 +1,138 @@
+// Replay archived post dumps through the current analysis pipeline
+//
+// Each dump file (JSON or NDJSON of posts, the shape the Reddit and file
+// sources produce) is one snapshot. Replaying the same dumps before and after
+// a lexicon or weighting change, and diffing the two runs, shows exactly
+// which historical scores and signals the change would have moved.
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { parseDump, normalizePost, matchesCoin, createFileSource, DUMP_EXTENSIONS } from './sources/file.js';
+
+async function listDumps(target) {
+  const info = await stat(target);
+  if (!info.isDirectory()) return [target];
+
+  const files = [];
+  for (const entry of (await readdir(target)).sort()) {
+    files.push(...await listDumps(path.join(target, entry)));
+  }
+  return files.filter(file => DUMP_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+}
+
+// Coins a dump is about: --coin, else the posts' coin tags, else a path
+// segment or file-name prefix that is a known coin (dumps/BTC/..., BTC-2025-01-01.ndjson)
+function dumpCoins(file, posts, { coin, knownCoins }) {
+  if (coin) return [coin];
+  const tagged = new Set(posts.flatMap(post => (post.coin ? [post.coin].flat() : [])).map(tag => String(tag).toUpperCase()));
+  if (tagged.size > 0) return [...tagged].sort();
+  const parts = file.split(path.sep).flatMap(part => part.split(/[-_.]/)).map(part => part.toUpperCase());
+  const fromPath = knownCoins.find(known => parts.includes(known));
+  return fromPath ? [fromPath] : [];
+}
+
+// [{ id, file, coin, posts }] for every dump under the given files/directories.
+// ids are relative to the input path, so runs over moved dumps still line up.
+export async function readSnapshots(inputs, { coin = null, knownCoins = [] } = {}) {
+  const snapshots = [];
+  const skipped = [];
+  for (const input of inputs) {
+    const root = (await stat(input)).isDirectory() ? input : path.dirname(input);
+    for (const file of await listDumps(input)) {
+      const posts = parseDump(await readFile(file, 'utf8'), file)
+        .map(record => normalizePost(record, 'replay'))
+        .filter(Boolean);
+      const coins = dumpCoins(file, posts, { coin, knownCoins });
+      if (coins.length === 0) skipped.push(file);
+      const id = path.relative(root, file) || path.basename(file);
+      for (const dumpCoin of coins) {
+        snapshots.push({
+          id: `${id}#${dumpCoin}`,
+          file,
+          coin: dumpCoin,
+          posts: posts.filter(post => matchesCoin(post, dumpCoin)),
+        });
+      }
+    }
+  }
+  return { snapshots, skipped };
+}
+
+// The server's analysis of one snapshot, reduced to what is worth comparing
+export async function replaySnapshot(pipeline, plan, snapshot, { language, depth = 'posts' } = {}) {
+  const prepared = pipeline.preparePosts(snapshot.posts, { language });
+
+  // Comments recorded inline with the posts, sampled like the server does
+  let comments = [];
+  if (depth === 'comments') {
+    const threadLimit = parseInt(process.env.COMMENT_THREADS || '5', 10);
+    const commentLimit = parseInt(process.env.COMMENTS_PER_THREAD || '20', 10);
+    const source = createFileSource({ path: snapshot.file, name: 'replay' });
+    const threads = pipeline.selectRelevantPosts(prepared.posts, snapshot.coin).posts
+      .sort((a, b) => (b.score + b.numComments) - (a.score + a.numComments))
+      .slice(0, threadLimit);
+    for (const post of threads) {
+      comments = comments.concat(await source.fetchComments(post, commentLimit));
+    }
+  }
+
+  const analysis = pipeline.analyzePosts(prepared.posts, snapshot.coin, comments, plan, prepared.routes);
+  return {
+    id: snapshot.id,
+    coin: snapshot.coin,
+    postsFetched: snapshot.posts.length,
+    postsAnalyzed: analysis.postsAnalyzed,
+    score: analysis.score,
+    signal: prepared.posts.length > 0 ? analysis.sentiment.toUpperCase().replace(' ', '_') : 'UNAVAILABLE',
+    confidence: analysis.confidence,
+    lower: analysis.confidenceInterval?.lower ?? null,
+    upper: analysis.confidenceInterval?.upper ?? null,
+    breakdown: analysis.breakdown,
+    analyzerScores: analysis.analyzerScores,
+    ...(analysis.comments && { commentsAnalyzed: analysis.comments.commentsAnalyzed }),
+  };
+}
+
+// Compare two runs snapshot by snapshot. A snapshot is flagged when its
+// signal changed or its score moved by at least `threshold`.
+export function diffRuns(baseline, current, { threshold = 0.05 } = {}) {
+  const before = new Map(baseline.snapshots.map(snapshot => [snapshot.id, snapshot]));
+  const after = new Map(current.snapshots.map(snapshot => [snapshot.id, snapshot]));
+
+  const changes = [];
+  for (const [id, now] of after) {
+    const then = before.get(id);
+    if (!then) continue;
+    const scoreDelta = parseFloat((now.score - then.score).toFixed(3));
+    const signalChanged = now.signal !== then.signal;
+    changes.push({
+      id,
+      coin: now.coin,
+      baselineScore: then.score,
+      score: now.score,
+      scoreDelta,
+      baselineSignal: then.signal,
+      signal: now.signal,
+      signalChanged,
+      postsAnalyzedDelta: now.postsAnalyzed - then.postsAnalyzed,
+      flagged: signalChanged || Math.abs(scoreDelta) >= threshold,
+    });
+  }
+
+  const deltas = changes.map(change => Math.abs(change.scoreDelta));
+  return {
+    baseline: { analyzer: baseline.analyzer, lexicon: baseline.lexicon, createdAt: baseline.createdAt },
+    threshold,
+    summary: {
+      compared: changes.length,
+      added: [...after.keys()].filter(id => !before.has(id)),
+      removed: [...before.keys()].filter(id => !after.has(id)),
+      signalChanges: changes.filter(change => change.signalChanged).length,
+      flagged: changes.filter(change => change.flagged).length,
+      meanAbsDelta: deltas.length > 0 ? parseFloat((deltas.reduce((sum, value) => sum + value, 0) / deltas.length).toFixed(4)) : 0,
+      maxAbsDelta: deltas.length > 0 ? Math.max(...deltas) : 0,
+    },
+    // Biggest moves first
+    changes: changes.sort((a, b) => Math.abs(b.scoreDelta) - Math.abs(a.scoreDelta)),
+  };
+}
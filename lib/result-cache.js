@@ -0,0 +1,60 @@
+// Result cache - per-key TTL cache with in-flight request coalescing
+//
+// Concurrent callers asking for the same key share one computation.
+// `fresh` skips the cached value and its result replaces the cache entry.
+// Fresh callers only coalesce with callers of the same `flight`, so
+// computations that differ in more than the key (a live scrape vs a
+// recompute from stored data) are never handed to each other.
+//
+// Entries are kept for `staleMs` past their TTL so `lastGood` can still
+// return them when a new computation fails.
+
+export function createResultCache({ ttlMs, staleMs = 0, shouldCache = () => true }) {
+  const entries = new Map();
+  const inflight = new Map();
+
+  // Drop expired entries so arbitrary keys can't accumulate
+  function sweep() {
+    const cutoff = Date.now() - ttlMs - staleMs;
+    for (const [key, entry] of entries) {
+      if (entry.cachedAt < cutoff) entries.delete(key);
+    }
+  }
+
+  function run(key, flightKey, compute) {
+    const promise = (async () => {
+      const value = await compute();
+      const entry = { value, cachedAt: Date.now() };
+      if (ttlMs + staleMs > 0 && shouldCache(value)) {
+        sweep();
+        entries.set(key, entry);
+      }
+      return entry;
+    })().finally(() => inflight.delete(flightKey));
+
+    inflight.set(flightKey, promise);
+    return promise;
+  }
+
+  return {
+    // Resolves to { value, cachedAt, hit }
+    async get(key, compute, { fresh = false, flight = 'fresh' } = {}) {
+      if (!fresh) {
+        const entry = entries.get(key);
+        if (entry && Date.now() - entry.cachedAt < ttlMs) {
+          return { ...entry, hit: true };
+        }
+      }
+
+      const flightKey = fresh ? `${key}:${flight}` : key;
+      const entry = await (inflight.get(flightKey) || run(key, flightKey, compute));
+      return { ...entry, hit: false };
+    },
+
+    // The last cached value within ttl + staleMs, expired or not, as { value, cachedAt }, or null
+    lastGood(key) {
+      const entry = entries.get(key);
+      return entry && Date.now() - entry.cachedAt < ttlMs + staleMs ? entry : null;
+    },
+  };
+}
@@ -0,0 +1,147 @@
+// File source adapter - reads recorded post dumps (JSON or NDJSON)
+// Lets the service run offline, or mix in Telegram/Discord/forum exports
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+
+// Dump files recognised by extension, here and by the replay tool
+export const DUMP_EXTENSIONS = ['.json', '.ndjson', '.jsonl'];
+
+// Map a raw record to the shared post shape
+// Accepts our own field names as well as Reddit's snake_case ones
+export function normalizePost(raw, fallbackSource) {
+  const data = raw?.kind === 't3' && raw.data ? raw.data : raw;
+  if (!data || typeof data !== 'object') return null;
+
+  const title = data.title || '';
+  const selftext = data.selftext || data.text || data.body || '';
+  if (!title && !selftext) return null;
+
+  return {
+    id: data.id,
+    title,
+    selftext,
+    score: Number(data.score) || 0,
+    numComments: Number(data.numComments ?? data.num_comments) || 0,
+    created: Number(data.created ?? data.created_utc) || null,
+    subreddit: data.subreddit || data.channel || fallbackSource,
+    source: data.source || fallbackSource,
+    url: data.url,
+    author: data.author,
+    isSelf: data.isSelf ?? data.is_self,
+    stickied: data.stickied || false,
+    distinguished: data.distinguished || null,
+    crosspostParent: data.crosspostParent ?? data.crosspost_parent ?? null,
+    coin: data.coin,
+    comments: Array.isArray(data.comments) ? data.comments : undefined,
+  };
+}
+
+// Parse a dump file's contents into raw records
+export function parseDump(contents, filename) {
+  const ext = path.extname(filename).toLowerCase();
+
+  if (ext === '.ndjson' || ext === '.jsonl') {
+    return contents
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+
+  const data = JSON.parse(contents);
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.posts)) return data.posts;
+  if (Array.isArray(data?.data?.children)) return data.data.children;
+  return [];
+}
+
+// Does this post belong to the coin? Untagged posts belong to every coin
+export function matchesCoin(post, coin) {
+  if (!post.coin) return true;
+  const coins = Array.isArray(post.coin) ? post.coin : [post.coin];
+  return coins.some(c => String(c).toUpperCase() === coin);
+}
+
+// Resolve the dump files for a coin. `{coin}` in the path is substituted,
+// and a directory means every dump file inside it
+async function resolveFiles(pattern, coin) {
+  const target = path.resolve(pattern.replaceAll('{coin}', coin));
+
+  let info;
+  try {
+    info = await stat(target);
+  } catch {
+    return [];
+  }
+
+  if (!info.isDirectory()) return [target];
+
+  const entries = await readdir(target);
+  return entries
+    .filter(entry => DUMP_EXTENSIONS.includes(path.extname(entry).toLowerCase()))
+    .sort()
+    .map(entry => path.join(target, entry));
+}
+
+// Posts read from disk; `path` may be a file or directory and may contain `{coin}`
+export function createFileSource(options = {}) {
+  if (!options.path) {
+    throw new Error('File source requires a "path"');
+  }
+
+  const name = options.name || 'file';
+
+  async function readPosts(coin) {
+    const files = await resolveFiles(options.path, coin);
+    const scanned = [];
+    let posts = [];
+
+    if (files.length === 0) {
+      console.log(`   ${name}: no dump found for ${coin} at ${options.path}`);
+    }
+
+    for (const file of files) {
+      try {
+        const records = parseDump(await readFile(file, 'utf8'), file);
+        const filePosts = records
+          .map(record => normalizePost(record, name))
+          .filter(post => post && matchesCoin(post, coin));
+
+        if (filePosts.length > 0) {
+          console.log(`   ✓ ${name}/${path.basename(file)}: ${filePosts.length} posts`);
+          posts = posts.concat(filePosts);
+          scanned.push(`${name}:${path.basename(file)}`);
+        }
+      } catch (error) {
+        console.log(`   ${name}/${path.basename(file)} error: ${error.message}`);
+      }
+    }
+
+    return { posts, scanned };
+  }
+
+  return {
+    name,
+    label: options.label || name,
+
+    // A dump is read in one go, so it is a single task
+    plan({ coin }) {
+      return [{ name, run: () => readPosts(coin) }];
+    },
+
+    // Comments recorded inline with the post, as { body, score, created }
+    async fetchComments(post, limit) {
+      return (post.comments || [])
+        .filter(comment => comment?.body)
+        .map(comment => ({
+          postId: post.id,
+          body: comment.body,
+          score: Number(comment.score) || 0,
+          created: Number(comment.created ?? comment.created_utc) || null,
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+  };
+}
@@ -0,0 +1,80 @@
+// Source registry - decides which adapters feed each coin
+//
+// Every adapter has the same shape:
+//   { name, label, plan({ coin, coinName, subreddits, searches, window, background }) => [task],
+//     fetchComments?(post, limit, signal) => [{ postId, body, score, created }] }
+// plan() splits a coin's fetch into tasks { name, shareKey?, run(signal) => { posts, scanned } }
+// so they can run concurrently under one deadline (see task-runner.js); tasks
+// with the same shareKey fetch the same thing and may be shared between coins.
+// Posts are { title, selftext, score, numComments, created, subreddit, source }.
+//
+// Configure with SOURCES_CONFIG pointing at a JSON file:
+//   {
+//     "sources": { "archive": { "type": "file", "path": "./data/{coin}.ndjson" } },
+//     "default": ["reddit"],
+//     "coins": { "BTC": ["reddit", "archive"] }
+//   }
+// or SOURCES=archive,reddit for a quick default list. "reddit" is always available.
+
+import { readFileSync } from 'node:fs';
+import { createRedditSource } from './reddit.js';
+import { createFileSource } from './file.js';
+
+const ADAPTER_TYPES = {
+  reddit: createRedditSource,
+  file: createFileSource,
+};
+
+export function loadSourceConfig(env = process.env) {
+  let config = {};
+
+  if (env.SOURCES_CONFIG) {
+    config = JSON.parse(readFileSync(env.SOURCES_CONFIG, 'utf8'));
+  }
+
+  if (env.SOURCES) {
+    config.default = env.SOURCES.split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  return config;
+}
+
+// `redditClient` is shared by every Reddit adapter so they draw on one rate limit
+export function createSourceRegistry(config = {}, { redditClient } = {}) {
+  const adapters = {
+    reddit: createRedditSource({ client: redditClient }),
+  };
+
+  for (const [name, options] of Object.entries(config.sources || {})) {
+    const type = options.type || name;
+    const create = ADAPTER_TYPES[type];
+    if (!create) {
+      throw new Error(`Unknown source type "${type}" for source "${name}"`);
+    }
+    adapters[name] = create({ ...options, name, client: redditClient });
+  }
+
+  const defaultNames = config.default?.length ? config.default : ['reddit'];
+  const coinNames = {};
+  for (const [coin, names] of Object.entries(config.coins || {})) {
+    coinNames[coin.toUpperCase()] = names;
+  }
+
+  // Fail at startup rather than on the first paid request
+  for (const name of [defaultNames, ...Object.values(coinNames)].flat()) {
+    if (!adapters[name]) {
+      throw new Error(`Source "${name}" is not defined`);
+    }
+  }
+
+  return {
+    adapters,
+    defaults: defaultNames.map(name => adapters[name]),
+
+    // Adapters that feed a coin, in configured order
+    forCoin(coin) {
+      const names = coinNames[coin] || defaultNames;
+      return names.map(name => adapters[name]);
+    },
+  };
+}
@@ -0,0 +1,175 @@
+// Reddit source adapter - subreddit listings, search and comment threads
+// All requests go through the shared Reddit client (OAuth + rate limiting)
+
+import { createRedditClient } from '../reddit-client.js';
+
+// Reddit's `t` period that covers each time window
+const WINDOW_PERIODS = { '1h': 'hour', '6h': 'day', '24h': 'day', '7d': 'week' };
+
+// Subreddit listings to try, in order. Short windows are best covered by
+// new; longer ones by the top posts of the period. No window means hot.
+function listingsFor(window) {
+  const t = WINDOW_PERIODS[window];
+  if (!t) return [{ listing: 'hot' }, { listing: 'new' }];
+  return window === '1h' || window === '6h'
+    ? [{ listing: 'new' }, { listing: 'top', t }]
+    : [{ listing: 'top', t }, { listing: 'new' }];
+}
+
+// Search sorts to try, in order
+function searchSortsFor(window) {
+  const t = WINDOW_PERIODS[window];
+  if (!t) return [{ sort: 'hot' }, { sort: 'new' }];
+  return [{ sort: 'new', t }, { sort: 'top', t }];
+}
+
+// Map a Reddit listing child to the shared post shape
+function toPost(child) {
+  return {
+    id: child.data.id,
+    title: child.data.title || '',
+    selftext: child.data.selftext || '',
+    score: child.data.score || 0,
+    numComments: child.data.num_comments || 0,
+    created: child.data.created_utc,
+    subreddit: child.data.subreddit,
+    source: 'reddit',
+    url: child.data.url,
+    author: child.data.author,
+    isSelf: child.data.is_self,
+    stickied: child.data.stickied || false,
+    distinguished: child.data.distinguished || null,
+    crosspostParent: child.data.crosspost_parent || null,
+  };
+}
+
+// Fetch from subreddit, falling back through the window's listings
+// Throws the last error if every listing failed (an empty subreddit just returns [])
+export async function fetchSubreddit(client, subreddit, limit = 50, signal, window = null, background = false) {
+  let lastError = null;
+
+  for (const { listing, ...query } of listingsFor(window)) {
+    try {
+      const data = await client.get(`/r/${subreddit}/${listing}`, { ...query, limit }, { signal, background });
+
+      if (!data?.data?.children) {
+        continue;
+      }
+
+      const posts = data.data.children
+        .filter(child => child.kind === 't3')
+        .map(toPost);
+
+      if (posts.length > 0) {
+        console.log(`   ✓ r/${subreddit}: ${posts.length} posts`);
+        return posts;
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      lastError = error;
+      if (error.name === 'AbortError') {
+        console.log(`   r/${subreddit} timed out`);
+      } else {
+        console.log(`   r/${subreddit} error: ${error.message}`);
+      }
+    }
+  }
+
+  if (lastError) throw lastError;
+  return [];
+}
+
+// Search Reddit
+export async function searchReddit(client, query, limit = 50, signal, window = null, background = false) {
+  let lastError = null;
+
+  for (const sort of searchSortsFor(window)) {
+    try {
+      const data = await client.get('/search', { q: query, ...sort, limit }, { signal, background });
+
+      if (!data?.data?.children) continue;
+
+      const posts = data.data.children
+        .filter(child => child.kind === 't3')
+        .map(toPost);
+
+      if (posts.length > 0) {
+        console.log(`   ✓ Search "${query}": ${posts.length} posts`);
+        return posts;
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      lastError = error;
+      console.log(`   Search error: ${error.message}`);
+    }
+  }
+
+  if (lastError) throw lastError;
+  return [];
+}
+
+// Top-level comments for a post, highest scored first
+export async function fetchComments(client, postId, limit = 20, signal) {
+  try {
+    // Response is [post listing, comment listing]
+    const data = await client.get(`/comments/${postId}`, { sort: 'top', depth: 1, limit }, { signal });
+    const children = Array.isArray(data) ? data[1]?.data?.children : null;
+    if (!children) return [];
+
+    return children
+      .filter(child => child.kind === 't1' && child.data.body)
+      .slice(0, limit)
+      .map(child => ({
+        postId,
+        body: child.data.body,
+        score: child.data.score || 0,
+        created: child.data.created_utc,
+      }));
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.log(`   Comments for ${postId} error: ${error.message}`);
+    return [];
+  }
+}
+
+// Reddit adapter: coin subreddits plus the coin's searches
+// Pacing is left to the client's shared token bucket
+export function createRedditSource(options = {}) {
+  const name = options.name || 'reddit';
+  const client = options.client || createRedditClient();
+
+  return {
+    name,
+    label: options.label || 'Reddit',
+
+    // One task per subreddit, plus the coin's searches (a name and a ticker search by default).
+    // Background plans (ingestion) give way to interactive requests in the client's bucket.
+    plan({ coin, coinName, subreddits, searches, window, background = false }) {
+      searches = searches || [
+        { query: `${coinName} crypto cryptocurrency`, limit: 50 },
+        { query: `$${coin} crypto`, limit: 30 },
+      ];
+
+      return [
+        ...subreddits.map(sub => ({
+          name: `r/${sub}`,
+          // A listing doesn't depend on the coin, so a batch can fetch it once for all coins
+          shareKey: `r/${sub}:${window || 'hot'}`,
+          run: async signal => {
+            const posts = await fetchSubreddit(client, sub, 50, signal, window, background);
+            return { posts, scanned: posts.length > 0 ? [`r/${sub}`] : [] };
+          },
+        })),
+        ...searches.map(({ query, limit }) => ({
+          name: `search "${query}"`,
+          run: async signal => ({ posts: await searchReddit(client, query, limit, signal, window, background), scanned: [] }),
+        })),
+      ];
+    },
+
+    async fetchComments(post, limit, signal) {
+      if (!post.id) return [];
+      return fetchComments(client, post.id, limit, signal);
+    },
+  };
+}
@@ -0,0 +1,85 @@
+// Statistics for weighted sentiment scores
+//
+// Scores are engagement-weighted means, so the usual n-based formulas don't
+// apply directly. Kish's effective sample size, (Σw)² / Σw², says how many
+// equally weighted posts the sample is worth, and the confidence interval is
+// a percentile bootstrap: posts are resampled with replacement (keeping their
+// weights) and the weighted mean recomputed each time.
+
+// Small seeded PRNG (mulberry32) so the same posts always give the same interval
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// samples: [{ value, weight }]
+export function weightedMean(samples) {
+  let sum = 0;
+  let totalWeight = 0;
+  for (const { value, weight } of samples) {
+    sum += value * weight;
+    totalWeight += weight;
+  }
+  return totalWeight > 0 ? sum / totalWeight : 0;
+}
+
+export function effectiveSampleSize(samples) {
+  let sum = 0;
+  let sumSquares = 0;
+  for (const { weight } of samples) {
+    sum += weight;
+    sumSquares += weight * weight;
+  }
+  return sumSquares > 0 ? (sum * sum) / sumSquares : 0;
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Percentile bootstrap interval for Σ share × weightedMean(group).
+// groups: [{ samples, share }] - e.g. posts and comments blended 60/40.
+// Each group is resampled on its own; a group with fewer than two samples
+// can't be resampled, and fewer than MIN_RESAMPLES resamples give no usable
+// percentiles, so no interval is given in either case.
+export const MIN_RESAMPLES = 100;
+
+export function bootstrapInterval(groups, { resamples = 1000, level = 0.95 } = {}) {
+  if (!(resamples >= MIN_RESAMPLES) || groups.some(group => group.samples.length < 2)) {
+    return { method: 'none', level, lower: null, upper: null, standardError: null, resamples: 0 };
+  }
+
+  const random = createRandom(groups.reduce((seed, group) => seed * 31 + group.samples.length, 7));
+  const estimates = [];
+  for (let i = 0; i < resamples; i++) {
+    let estimate = 0;
+    for (const { samples, share } of groups) {
+      const resample = Array.from({ length: samples.length }, () => samples[Math.floor(random() * samples.length)]);
+      estimate += share * weightedMean(resample);
+    }
+    estimates.push(estimate);
+  }
+  estimates.sort((a, b) => a - b);
+
+  const mean = estimates.reduce((sum, value) => sum + value, 0) / estimates.length;
+  const variance = estimates.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (estimates.length - 1);
+  const tail = (1 - level) / 2;
+
+  return {
+    method: 'bootstrap-percentile',
+    level,
+    lower: Math.max(-1, quantile(estimates, tail)),
+    upper: Math.min(1, quantile(estimates, 1 - tail)),
+    standardError: Math.sqrt(variance),
+    resamples,
+  };
+}
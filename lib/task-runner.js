@@ -0,0 +1,57 @@
+// Task runner - bounded concurrency under one overall deadline
+//
+// Each task is { name, run(signal) }. When the deadline passes the shared
+// signal is aborted and whatever has finished is returned. Every task gets
+// a status: ok, failed, timeout (still running at the deadline) or skipped
+// (never started).
+
+export async function runWithDeadline(tasks, { concurrency = 4, deadlineMs = 5000 } = {}) {
+  const controller = new AbortController();
+  const results = tasks.map(task => ({ name: task.name, status: 'skipped' }));
+  let next = 0;
+
+  async function worker() {
+    while (next < tasks.length && !controller.signal.aborted) {
+      const index = next++;
+      const started = Date.now();
+      results[index].status = 'timeout';
+
+      try {
+        const value = await tasks[index].run(controller.signal);
+        if (controller.signal.aborted) return;
+        results[index] = { name: tasks[index].name, status: 'ok', value, ms: Date.now() - started };
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        results[index] = { name: tasks[index].name, status: 'failed', error: error.message, ms: Date.now() - started };
+      }
+    }
+  }
+
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(resolve, deadlineMs);
+  });
+  const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, worker);
+
+  await Promise.race([Promise.all(workers), deadline]);
+  clearTimeout(timer);
+  controller.abort();
+
+  return results;
+}
+
+// fn(item) for every item, at most `concurrency` at a time; results in input order
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,104 @@
+// Topic extraction - what the analyzed posts are talking about
+//
+// Two kinds of topics come back, each with the number of posts that mention
+// it and their average sentiment:
+//   named    known market themes (ETF, hack, upgrade, lawsuit, halving, ...)
+//            matched through a keyword list per theme
+//   keyword  the most frequent words and two-word phrases, stopwords removed
+//
+// Frequency counts posts, not occurrences, so one long post repeating a word
+// can't make it trend.
+
+export const NAMED_TOPICS = {
+  etf: ['etf', 'etfs', 'blackrock', 'grayscale', 'inflows', 'outflows'],
+  hack: ['hack', 'hacked', 'hacker', 'exploit', 'exploited', 'drained', 'stolen'],
+  upgrade: ['upgrade', 'hard fork', 'fork', 'mainnet', 'testnet', 'release'],
+  lawsuit: ['lawsuit', 'sued', 'sues', 'court', 'judge', 'ruling', 'settlement'],
+  regulation: ['sec', 'regulation', 'regulators', 'regulatory', 'ban', 'banned', 'tax', 'cftc'],
+  halving: ['halving', 'halvening'],
+  staking: ['staking', 'stake', 'validator', 'validators', 'yield'],
+  whales: ['whale', 'whales'],
+  liquidations: ['liquidation', 'liquidations', 'liquidated', 'leverage', 'shorts', 'longs'],
+  adoption: ['adoption', 'adopt', 'payments', 'merchant', 'merchants'],
+  partnership: ['partnership', 'partners', 'partnered', 'integration'],
+  listing: ['listing', 'listed', 'delisted', 'delisting'],
+  scam: ['scam', 'rug', 'rugpull', 'ponzi', 'fraud'],
+};
+
+const STOPWORDS = new Set(`
+a about above after again against all almost also am an and any are aren't as at be because been before being
+below between both but by can can't cannot could couldn't did didn't do does doesn't doing don't down during each
+even ever every few for from further get gets getting got had hadn't has hasn't have haven't having he her here
+hers herself him himself his how i i'm i've if in into is isn't it it's its itself just know let like lot made make
+many may me might more most much must my myself need new no nor not now of off on once one only or other our ours
+out over own people pretty really right said same say see she should shouldn't since so some still such sure take
+than that that's the their theirs them then there these they they're thing things think this those through time
+to today too under until up us very want was wasn't way we we're well were weren't what when where which while who
+why will with won't would wouldn't yeah year years yes yet you you're your yours
+crypto coin coins post posts thread reddit amp https http www com
+`.split(/\s+/).filter(Boolean));
+
+function tokenize(text) {
+  return text.toLowerCase().replace(/https?:\/\/\S+/g, ' ').match(/[a-z][a-z0-9']*[a-z0-9]|[a-z]/g) || [];
+}
+
+function isKeyword(token, ignore) {
+  return token.length > 2 && !STOPWORDS.has(token) && !ignore(token);
+}
+
+function summarize(topic, type, scores) {
+  const total = scores.reduce((sum, score) => sum + score, 0);
+  return {
+    topic,
+    type,
+    mentions: scores.length,
+    sentiment: parseFloat((total / scores.length).toFixed(3)),
+  };
+}
+
+// items: [{ text, score }]; ignore(word) drops words such as the coin's own name
+export function extractTopics(items, { limit = 10, minMentions = 2, ignore = () => false } = {}) {
+  const named = new Map();
+  const keywords = new Map();
+
+  for (const { text, score } of items) {
+    const tokens = tokenize(text);
+    const joined = ` ${tokens.join(' ')} `;
+
+    for (const [topic, terms] of Object.entries(NAMED_TOPICS)) {
+      if (terms.some(term => joined.includes(` ${term} `))) {
+        if (!named.has(topic)) named.set(topic, []);
+        named.get(topic).push(score);
+      }
+    }
+
+    const seen = new Set();
+    tokens.forEach((token, i) => {
+      if (!isKeyword(token, ignore)) return;
+      seen.add(token);
+      const next = tokens[i + 1];
+      if (next && isKeyword(next, ignore)) seen.add(`${token} ${next}`);
+    });
+    for (const keyword of seen) {
+      if (!keywords.has(keyword)) keywords.set(keyword, []);
+      keywords.get(keyword).push(score);
+    }
+  }
+
+  const namedTopics = [...named.entries()]
+    .map(([topic, scores]) => summarize(topic, 'named', scores))
+    .sort((a, b) => b.mentions - a.mentions);
+
+  // A phrase is more telling than its words, so words no more frequent than a listed phrase are dropped
+  const ranked = [...keywords.entries()]
+    .filter(([keyword, scores]) => scores.length >= minMentions && !named.has(keyword))
+    .sort((a, b) => b[1].length - a[1].length || b[0].split(' ').length - a[0].split(' ').length);
+  const keywordTopics = [];
+  for (const [keyword, scores] of ranked) {
+    if (keywordTopics.length >= limit) break;
+    const coveredBy = keywordTopics.find(other => other.topic.split(' ').includes(keyword) && other.mentions >= scores.length);
+    if (!coveredBy) keywordTopics.push(summarize(keyword, 'keyword', scores));
+  }
+
+  return [...namedTopics, ...keywordTopics];
+}
@@ -0,0 +1,92 @@
+// Backtest stored sentiment snapshots against a local price file
+//
+//   npm run backtest -- BTC --prices ./prices/BTC.csv --horizons 1h,4h,24h
+//
+// Reads DATA_DIR/history.ndjson (the same store the server writes) and prints
+// a summary, or the full result with --json. Price files default to
+// PRICE_DATA_DIR/<COIN>.csv or .json, like the /v1/backtest route.
+
+import { config } from 'dotenv';
+import { parseArgs } from 'node:util';
+import { readFileSync } from 'node:fs';
+import { createHistoryStore, variantKey } from '../lib/history-store.js';
+import { runBacktest, loadPrices, parsePrices, parseBacktestOptions } from '../lib/backtest.js';
+
+config();
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    prices: { type: 'string' },
+    data: { type: 'string', default: process.env.DATA_DIR || './data' },
+    // The server's default analysis: posts, hot, the configured analyzer and language mode
+    variant: {
+      type: 'string',
+      default: variantKey({ depth: 'posts', analyzer: process.env.ANALYZER || 'vader', language: process.env.LANGUAGE_MODE || 'all' }),
+    },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    interval: { type: 'string' },
+    horizons: { type: 'string' },
+    lags: { type: 'string' },
+    fee: { type: 'string' },
+    'long-only': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+  },
+});
+
+const coin = positionals[0]?.toUpperCase();
+if (!coin) {
+  console.error('Usage: npm run backtest -- <COIN> [--prices file] [--data dir] [--variant depth:window:analyzer:language]');
+  console.error('       [--from date] [--to date] [--interval 1h] [--horizons 1h,4h,24h] [--lags 24] [--fee 10] [--long-only] [--json]');
+  process.exit(1);
+}
+
+const candles = values.prices ? parsePrices(readFileSync(values.prices, 'utf8'), values.prices) : loadPrices(coin);
+if (!candles) {
+  console.error(`No price file for ${coin} (pass --prices or put ${coin}.csv in PRICE_DATA_DIR)`);
+  process.exit(1);
+}
+
+const history = createHistoryStore({ dir: values.data });
+history.load();
+const snapshots = history.query(coin, {
+  variant: values.variant,
+  from: values.from ? Date.parse(values.from) : 0,
+  to: values.to ? Date.parse(values.to) : Date.now(),
+});
+if (snapshots.length === 0) {
+  console.error(`No ${values.variant} snapshots for ${coin} in ${values.data}`);
+  process.exit(1);
+}
+
+const result = runBacktest(snapshots, candles, parseBacktestOptions({
+  interval: values.interval,
+  horizons: values.horizons,
+  lags: values.lags,
+  fee: values.fee,
+  longOnly: values['long-only'],
+}));
+
+if (values.json) {
+  console.log(JSON.stringify({ coin, variant: values.variant, ...result }, null, 2));
+  process.exit(0);
+}
+
+const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(2)}%`);
+
+console.log(`${coin} ${values.variant}: ${result.samples} samples every ${result.interval}, ${result.from} to ${result.to}`);
+console.log(`Prices: ${result.priceRange.candles} candles, ${result.priceRange.from} to ${result.priceRange.to}`);
+console.log('');
+const { best } = result.correlation;
+console.log(best
+  ? `Best lead/lag: ${best.lag === 0 ? 'no shift' : `${best.lag > 0 ? 'sentiment' : 'price'} leads by ${best.lagTime}`}, correlation ${best.correlation} (${best.pairs} pairs)`
+  : 'Lead/lag correlation: not enough overlapping data');
+console.log('');
+for (const { horizon, bullish, bearish, hitRate } of result.hitRates) {
+  console.log(`${horizon.padEnd(4)} hit rate ${percent(hitRate).padStart(7)}  bullish ${bullish.hits}/${bullish.signals} (avg ${percent(bullish.averageReturn)})  bearish ${bearish.hits}/${bearish.signals} (avg ${percent(bearish.averageReturn)})`);
+}
+console.log('');
+const { strategy } = result;
+console.log(`Strategy${strategy.longOnly ? ' (long only)' : ''}: ${percent(strategy.totalReturn)} vs buy & hold ${percent(strategy.buyAndHoldReturn)}`);
+console.log(`  ${strategy.trades} trades at ${strategy.feeBps} bps, max drawdown ${percent(strategy.maxDrawdown)}, in the market ${percent(strategy.exposure)} of ${strategy.periods} periods`);
@@ -0,0 +1,118 @@
+// Replay archived post dumps through the current analysis pipeline
+//
+//   npm run replay -- ./archive --out baseline.json
+//   (change the lexicon or analyzer weights)
+//   npm run replay -- ./archive --baseline baseline.json --fail-on-change
+//
+// Every dump file is one snapshot. The run is printed (and written to --out);
+// with --baseline, each snapshot is compared with the same one in an earlier
+// run and changed signals or scores moving by --threshold or more are flagged.
+// --fail-on-change exits with status 2 if anything was flagged.
+
+import { config } from 'dotenv';
+import { parseArgs } from 'node:util';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { loadFilterConfig } from '../lib/post-filters.js';
+import { loadLexicon, createLexiconScorer } from '../lib/crypto-lexicon.js';
+import { createAnalyzerSet } from '../lib/analyzers/index.js';
+import { loadLanguageLexicons } from '../lib/language.js';
+import { loadCoinAliases, createCoinMatcher } from '../lib/coin-matcher.js';
+import { createAnalysisPipeline, LANGUAGE_MODES } from '../lib/analysis.js';
+import { createCoinRegistry } from '../lib/coins.js';
+import { readSnapshots, replaySnapshot, diffRuns } from '../lib/replay.js';
+
+config();
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    coin: { type: 'string' },
+    analyzer: { type: 'string' },
+    language: { type: 'string' },
+    depth: { type: 'string', default: 'posts' },
+    out: { type: 'string' },
+    baseline: { type: 'string' },
+    threshold: { type: 'string', default: '0.05' },
+    'fail-on-change': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+  },
+});
+
+if (positionals.length === 0) {
+  console.error('Usage: npm run replay -- <dump file or directory>... [--coin BTC] [--analyzer name] [--language all|en|route]');
+  console.error('       [--depth posts|comments] [--out run.json] [--baseline run.json] [--threshold 0.05] [--fail-on-change] [--json]');
+  process.exit(1);
+}
+if (values.language && !LANGUAGE_MODES.includes(values.language)) {
+  console.error(`--language must be one of ${LANGUAGE_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+const coinRegistry = createCoinRegistry();
+const lexiconScorer = createLexiconScorer(loadLexicon());
+const analyzers = createAnalyzerSet({ lexiconScorer });
+const pipeline = createAnalysisPipeline({
+  analyzers,
+  coinMatcher: createCoinMatcher(loadCoinAliases(coinRegistry.aliases())),
+  coinSubreddits: coinRegistry.subreddits(),
+  filterConfig: loadFilterConfig(),
+  languageLexicons: loadLanguageLexicons(),
+});
+const plan = analyzers.plan(values.analyzer);
+const language = values.language || pipeline.defaultLanguage;
+
+const { snapshots, skipped } = await readSnapshots(positionals, {
+  coin: values.coin?.toUpperCase(),
+  knownCoins: coinRegistry.symbols(),
+});
+for (const file of skipped) {
+  console.error(`Skipped ${file}: no coin (pass --coin, tag posts with "coin" or put the symbol in the path)`);
+}
+
+const run = {
+  createdAt: new Date().toISOString(),
+  analyzer: plan.label,
+  lexicon: lexiconScorer.version,
+  language,
+  depth: values.depth,
+  snapshots: [],
+};
+for (const snapshot of snapshots) {
+  run.snapshots.push(await replaySnapshot(pipeline, plan, snapshot, { language, depth: values.depth }));
+}
+
+if (values.out) {
+  writeFileSync(values.out, JSON.stringify(run, null, 2) + '\n');
+}
+
+const diff = values.baseline
+  ? diffRuns(JSON.parse(readFileSync(values.baseline, 'utf8')), run, { threshold: parseFloat(values.threshold) })
+  : null;
+
+if (values.json) {
+  console.log(JSON.stringify(diff ? { run, diff } : run, null, 2));
+} else {
+  console.log(`${run.snapshots.length} snapshots, ${run.analyzer}, language=${language}, depth=${values.depth}`);
+  for (const result of run.snapshots) {
+    console.log(`  ${result.id.padEnd(40)} ${String(result.score).padStart(7)}  ${result.signal.padEnd(12)} ${result.postsAnalyzed} posts`);
+  }
+  if (values.out) console.log(`Run written to ${values.out}`);
+
+  if (diff) {
+    const { summary } = diff;
+    console.log('');
+    console.log(`Against ${values.baseline} (${diff.baseline.analyzer}, ${diff.baseline.lexicon}):`);
+    console.log(`  ${summary.compared} compared, ${summary.signalChanges} signal changes, ${summary.flagged} flagged (|Δ| >= ${diff.threshold})`);
+    console.log(`  mean |Δ| ${summary.meanAbsDelta}, max |Δ| ${summary.maxAbsDelta}`);
+    if (summary.added.length > 0) console.log(`  new: ${summary.added.join(', ')}`);
+    if (summary.removed.length > 0) console.log(`  missing: ${summary.removed.join(', ')}`);
+    for (const change of diff.changes.filter(entry => entry.flagged)) {
+      const signalNote = change.signalChanged ? `  ${change.baselineSignal} -> ${change.signal}` : '';
+      console.log(`  ! ${change.id.padEnd(38)} ${change.baselineScore} -> ${change.score} (Δ ${change.scoreDelta})${signalNote}`);
+    }
+  }
+}
+
+if (values['fail-on-change'] && diff?.summary.flagged > 0) {
+  process.exit(2);
+}
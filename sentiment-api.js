@@ -4,14 +4,32 @@
 import { config } from 'dotenv';
 import express from 'express';
 import cors from 'cors';
-import vaderSentiment from 'vader-sentiment';
-import { paymentMiddleware, x402ResourceServer } from '@x402/express';
+import { paymentMiddleware, setSettlementOverrides, x402ResourceServer } from '@x402/express';
 import { ExactEvmScheme } from '@x402/evm/exact/server';
+import { UptoEvmScheme } from '@x402/evm/upto/server';
 import { HTTPFacilitatorClient } from '@x402/core/server';
 import { facilitator } from '@coinbase/x402';
 import { createPaywall } from '@x402/paywall';
 import { evmPaywall } from '@x402/paywall/evm';
 import { declareDiscoveryExtension } from '@x402/extensions/bazaar';
+import { loadSourceConfig, createSourceRegistry } from './lib/sources/index.js';
+import { createRedditClient } from './lib/reddit-client.js';
+import { createPostStore } from './lib/post-store.js';
+import { startIngestion } from './lib/ingestion.js';
+import { createHistoryStore, toSnapshot, bucketSnapshots, toCsv, INTERVALS, variantKey } from './lib/history-store.js';
+import { measureMomentum, LOOKBACK_MS } from './lib/momentum.js';
+import { runBacktest, loadPrices, parseBacktestOptions } from './lib/backtest.js';
+import { computeMarketIndex, loadMarketCaps, parseMarketCaps, WEIGHTINGS } from './lib/market.js';
+import { createResultCache } from './lib/result-cache.js';
+import { runWithDeadline, mapWithConcurrency } from './lib/task-runner.js';
+import { loadFilterConfig } from './lib/post-filters.js';
+import { loadLexicon, createLexiconScorer } from './lib/crypto-lexicon.js';
+import { createAnalyzerSet } from './lib/analyzers/index.js';
+import { loadLanguageLexicons } from './lib/language.js';
+import { loadCoinAliases, createCoinMatcher } from './lib/coin-matcher.js';
+import { createAnalysisPipeline, LANGUAGE_MODES } from './lib/analysis.js';
+import { createCoinRegistry } from './lib/coins.js';
+import { ApiError, asyncRoute, notFound, errorHandler } from './lib/errors.js';
 
 config();
 
@@ -31,44 +49,77 @@ if (!process.env.CDP_API_KEY_ID || !process.env.CDP_API_KEY_SECRET) {
 // Base Mainnet (CAIP-2 format)
 const NETWORK = 'eip155:8453';
 
-// Crypto-specific subreddits
-const CRYPTO_SUBREDDITS = {
-  BTC: ['bitcoin', 'BitcoinMarkets', 'CryptoCurrency'],
-  ETH: ['ethereum', 'ethtrader', 'ethfinance', 'CryptoCurrency'],
-  SOL: ['solana', 'CryptoCurrency'],
-  DOGE: ['dogecoin', 'CryptoCurrency'],
-  XRP: ['Ripple', 'XRP', 'CryptoCurrency'],
-  ADA: ['cardano', 'CryptoCurrency'],
-  AVAX: ['Avax', 'CryptoCurrency'],
-  MATIC: ['maticnetwork', '0xPolygon', 'CryptoCurrency'],
-  LINK: ['Chainlink', 'CryptoCurrency'],
-  DOT: ['dot', 'Polkadot', 'CryptoCurrency'],
-  SHIB: ['SHIBArmy', 'CryptoCurrency'],
-  LTC: ['litecoin', 'CryptoCurrency'],
+// Time windows (seconds) for the window= parameter; none means Reddit's hot listings
+const TIME_WINDOWS = {
+  '1h': 60 * 60,
+  '6h': 6 * 60 * 60,
+  '24h': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60,
 };
 
-// Full coin names for better search
-const COIN_NAMES = {
-  BTC: 'Bitcoin',
-  ETH: 'Ethereum',
-  SOL: 'Solana',
-  DOGE: 'Dogecoin',
-  XRP: 'Ripple',
-  ADA: 'Cardano',
-  AVAX: 'Avalanche',
-  MATIC: 'Polygon',
-  LINK: 'Chainlink',
-  DOT: 'Polkadot',
-  SHIB: 'Shiba',
-  LTC: 'Litecoin',
+// Spam, bot, cross-post and repost filtering applied before scoring
+const filterConfig = loadFilterConfig();
+// Supported coins with their subreddits, aliases and searches (COINS_CONFIG, reloaded on change)
+const coinRegistry = createCoinRegistry();
+
+// Reddit API client - OAuth when credentials are set, public JSON otherwise
+// The base URLs can point at a local mock Reddit server for testing
+const redditClient = createRedditClient({
+  clientId: process.env.REDDIT_CLIENT_ID,
+  clientSecret: process.env.REDDIT_CLIENT_SECRET,
+  userAgent: process.env.REDDIT_USER_AGENT,
+  oauthBase: process.env.REDDIT_OAUTH_BASE,
+  tokenUrl: process.env.REDDIT_TOKEN_URL,
+  publicBase: process.env.REDDIT_PUBLIC_BASE,
+  oauthRatePerMinute: parseFloat(process.env.REDDIT_RATE_PER_MINUTE) || undefined,
+});
+
+// Data-source adapters (Reddit by default, plus any configured dumps)
+const sources = createSourceRegistry(loadSourceConfig(), { redditClient });
+
+// Background ingestion into the local post store (0 disables it and every request scrapes live)
+const INGEST_INTERVAL_MINUTES = parseFloat(process.env.INGEST_INTERVAL_MINUTES ?? '10');
+// Posts seen by ingestion within this window are used to answer requests
+const STORE_WINDOW_MINUTES = parseFloat(process.env.STORE_WINDOW_MINUTES || '60');
+
+// VADER extended with crypto slang (moon, rekt, HODL, 🚀, ...)
+const lexiconScorer = createLexiconScorer(loadLexicon());
+// Scorers selectable per request with analyzer=, including a weighted ensemble
+const analyzers = createAnalyzerSet({ lexiconScorer });
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+// Requests only read the last STORE_WINDOW_MINUTES, so by default nothing older is kept
+const postStore = INGEST_INTERVAL_MINUTES > 0
+  ? createPostStore({
+    dir: DATA_DIR,
+    retentionHours: parseFloat(process.env.STORE_RETENTION_HOURS || String(STORE_WINDOW_MINUTES / 60)),
+  })
+  : null;
+
+// Every computed result is kept as a snapshot for the history route (0 disables)
+const HISTORY_RETENTION_DAYS = parseFloat(process.env.HISTORY_RETENTION_DAYS ?? '30');
+const historyStore = HISTORY_RETENTION_DAYS > 0
+  ? createHistoryStore({ dir: DATA_DIR, retentionDays: HISTORY_RETENTION_DAYS })
+  : null;
+
+// Momentum baseline (hourly points over the past MOMENTUM_BASELINE_HOURS) and anomaly threshold
+const MOMENTUM_OPTIONS = {
+  baselineMs: parseFloat(process.env.MOMENTUM_BASELINE_HOURS || '168') * 60 * 60 * 1000,
+  minPoints: parseInt(process.env.MOMENTUM_MIN_POINTS || '12', 10),
+  threshold: parseFloat(process.env.ANOMALY_Z_THRESHOLD || '3'),
 };
+// /v1/anomalies only reports snapshots newer than this
+const ANOMALY_MAX_AGE_MINUTES = parseFloat(process.env.ANOMALY_MAX_AGE_MINUTES || '60');
 
 // Create facilitator client using CDP facilitator
 const facilitatorClient = new HTTPFacilitatorClient(facilitator);
 
-// Create resource server and register EVM scheme for Base Mainnet
+// Create resource server and register EVM schemes for Base Mainnet
+// (upto lets the batch route settle less than the authorized maximum)
 const resourceServer = new x402ResourceServer(facilitatorClient)
-  .register(NETWORK, new ExactEvmScheme());
+  .register(NETWORK, new ExactEvmScheme())
+  .register(NETWORK, new UptoEvmScheme());
 
 // Build paywall UI for wallet connection with GenVox branding
 const paywall = createPaywall()
@@ -97,231 +148,34 @@ console.log('💰 Receiving wallet:', payTo);
 console.log('🌐 Network: Base Mainnet (eip155:8453)');
 console.log('🔗 Facilitator: CDP (Coinbase)');
 console.log('💵 Price: $0.03 USDC per request');
-console.log('📊 Data Source: Reddit');
-console.log('🧠 Sentiment: VADER');
+console.log('📊 Data Source:', sources.defaults.map(source => source.label).join(' + '));
+console.log('🔑 Reddit API:', redditClient.authenticated ? 'OAuth (oauth.reddit.com)' : 'public JSON (no REDDIT_CLIENT_ID)');
+console.log('🧠 Sentiment:', `${analyzers.plan().label} (available: ${analyzers.names.join(', ')})`);
+console.log('🗄️  Post store:', postStore ? `every ${INGEST_INTERVAL_MINUTES} min` : 'disabled (live scraping)');
+console.log('📈 History:', historyStore ? `${HISTORY_RETENTION_DAYS} days` : 'disabled');
 console.log('============================================');
 
-// ============================================
-// IMPROVED REDDIT SCRAPING
-// ============================================
-
-// Better headers to avoid Reddit blocking
-function getRedditHeaders() {
-  // Rotate user agents to reduce blocking
-  const userAgents = [
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
-  ];
-  
-  return {
-    'User-Agent': userAgents[Math.floor(Math.random() * userAgents.length)],
-    'Accept': 'application/json',
-    'Accept-Language': 'en-US,en;q=0.9',
-    'Cache-Control': 'no-cache',
-  };
-}
-
-// Fetch from subreddit with retries
-async function fetchSubreddit(subreddit, limit = 50) {
-  const urls = [
-    `https://www.reddit.com/r/${subreddit}/hot.json?limit=${limit}&raw_json=1`,
-    `https://old.reddit.com/r/${subreddit}/hot.json?limit=${limit}`,
-    `https://www.reddit.com/r/${subreddit}/new.json?limit=${limit}&raw_json=1`,
-  ];
-
-  for (const url of urls) {
-    try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 10000);
-
-      const response = await fetch(url, {
-        headers: getRedditHeaders(),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeout);
-
-      if (response.status === 429) {
-        console.log(`   Rate limited on r/${subreddit}, waiting...`);
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        continue;
-      }
-
-      if (!response.ok) {
-        console.log(`   r/${subreddit} returned ${response.status}`);
-        continue;
-      }
-
-      const data = await response.json();
-      
-      if (!data?.data?.children) {
-        continue;
-      }
-
-      const posts = data.data.children
-        .filter(child => child.kind === 't3')
-        .map(child => ({
-          title: child.data.title || '',
-          selftext: child.data.selftext || '',
-          score: child.data.score || 0,
-          numComments: child.data.num_comments || 0,
-          created: child.data.created_utc,
-          subreddit: child.data.subreddit,
-          url: child.data.url,
-        }));
-
-      if (posts.length > 0) {
-        console.log(`   ✓ r/${subreddit}: ${posts.length} posts`);
-        return posts;
-      }
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        console.log(`   r/${subreddit} timed out`);
-      } else {
-        console.log(`   r/${subreddit} error: ${error.message}`);
-      }
-    }
-  }
-
-  return [];
-}
-
-// Search Reddit
-async function searchReddit(query, limit = 50) {
-  const urls = [
-    `https://www.reddit.com/search.json?q=${encodeURIComponent(query)}&sort=hot&limit=${limit}&raw_json=1`,
-    `https://www.reddit.com/search.json?q=${encodeURIComponent(query)}&sort=new&limit=${limit}&raw_json=1`,
-  ];
-
-  for (const url of urls) {
-    try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 10000);
-
-      const response = await fetch(url, {
-        headers: getRedditHeaders(),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeout);
-
-      if (!response.ok) continue;
-
-      const data = await response.json();
-      
-      if (!data?.data?.children) continue;
-
-      const posts = data.data.children
-        .filter(child => child.kind === 't3')
-        .map(child => ({
-          title: child.data.title || '',
-          selftext: child.data.selftext || '',
-          score: child.data.score || 0,
-          numComments: child.data.num_comments || 0,
-          created: child.data.created_utc,
-          subreddit: child.data.subreddit,
-        }));
-
-      if (posts.length > 0) {
-        console.log(`   ✓ Search "${query}": ${posts.length} posts`);
-        return posts;
-      }
-    } catch (error) {
-      console.log(`   Search error: ${error.message}`);
-    }
-  }
-
-  return [];
-}
-
-// VADER sentiment analysis (better for social media)
-function analyzeWithVader(posts, coin) {
-  if (posts.length === 0) {
-    return {
-      sentiment: 'neutral',
-      score: 0,
-      confidence: 0,
-      postsAnalyzed: 0,
-      breakdown: { positive: 0, negative: 0, neutral: 0 },
-      topPosts: [],
-    };
-  }
-
-  // Filter posts that mention the coin
-  const coinName = COIN_NAMES[coin] || coin;
-  const relevantPosts = posts.filter(post => {
-    const text = `${post.title} ${post.selftext}`.toUpperCase();
-    return text.includes(coin) || text.includes(coinName.toUpperCase());
+// Comment sampling for depth=comments
+const COMMENT_THREADS = parseInt(process.env.COMMENT_THREADS || '5', 10);
+const COMMENTS_PER_THREAD = parseInt(process.env.COMMENTS_PER_THREAD || '20', 10);
+
+// Filtering, language handling and scoring, shared with the offline replay tool.
+// Rebuilt whenever the coin registry is reloaded
+const languageLexicons = loadLanguageLexicons();
+
+function buildPipeline() {
+  return createAnalysisPipeline({
+    analyzers,
+    // Tickers, cashtags and nicknames used to decide which coin a post is about
+    coinMatcher: createCoinMatcher(loadCoinAliases(coinRegistry.aliases())),
+    coinSubreddits: coinRegistry.subreddits(),
+    filterConfig,
+    languageLexicons,
   });
+}
 
-  // If no relevant posts, use all posts from coin-specific subreddits
-  const postsToAnalyze = relevantPosts.length > 0 ? relevantPosts : posts;
-
-  let totalScore = 0;
-  let totalWeight = 0;
-  const breakdown = { positive: 0, negative: 0, neutral: 0 };
-  const analyzedPosts = [];
-
-  for (const post of postsToAnalyze) {
-    const text = `${post.title} ${post.selftext}`.substring(0, 1000);
-    const intensity = vaderSentiment.SentimentIntensityAnalyzer.polarity_scores(text);
-
-    // Weight by engagement
-    const engagement = Math.log10(Math.max(post.score, 1) + Math.max(post.numComments, 1) + 1);
-    const weight = engagement;
-
-    totalScore += intensity.compound * weight;
-    totalWeight += weight;
-
-    // Categorize
-    if (intensity.compound >= 0.05) {
-      breakdown.positive++;
-    } else if (intensity.compound <= -0.05) {
-      breakdown.negative++;
-    } else {
-      breakdown.neutral++;
-    }
-
-    analyzedPosts.push({
-      title: post.title.substring(0, 120),
-      subreddit: post.subreddit,
-      score: intensity.compound.toFixed(3),
-      engagement: post.score,
-    });
-  }
-
-  // Calculate weighted average
-  const avgScore = totalWeight > 0 ? totalScore / totalWeight : 0;
-  const normalizedScore = Math.max(-1, Math.min(1, avgScore));
-
-  // Determine sentiment label
-  let sentimentLabel;
-  if (normalizedScore >= 0.5) sentimentLabel = 'very bullish';
-  else if (normalizedScore >= 0.15) sentimentLabel = 'bullish';
-  else if (normalizedScore <= -0.5) sentimentLabel = 'very bearish';
-  else if (normalizedScore <= -0.15) sentimentLabel = 'bearish';
-  else sentimentLabel = 'neutral';
-
-  // Confidence based on sample size and agreement
-  const total = breakdown.positive + breakdown.negative + breakdown.neutral;
-  const maxCategory = Math.max(breakdown.positive, breakdown.negative, breakdown.neutral);
-  const agreement = total > 0 ? maxCategory / total : 0;
-  const sampleBonus = Math.min(total / 30, 1) * 0.25;
-  const confidence = Math.min(agreement * 0.75 + sampleBonus, 0.95);
-
-  // Sort by engagement for top posts
-  analyzedPosts.sort((a, b) => b.engagement - a.engagement);
+let pipeline = buildPipeline();
 
-  return {
-    sentiment: sentimentLabel,
-    score: parseFloat(normalizedScore.toFixed(3)),
-    confidence: parseFloat(confidence.toFixed(2)),
-    postsAnalyzed: postsToAnalyze.length,
-    breakdown,
-    topPosts: analyzedPosts.slice(0, 5),
-  };
-}
 // RapidAPI authentication bypass
 app.use('/v1/sentiment', (req, res, next) => {
   const rapidApiKey = req.headers['x-rapidapi-key'];
@@ -341,12 +195,83 @@ app.use('/v1/sentiment', (req, res, next) => {
 // Base URL for discovery (custom domain)
 const BASE_URL = process.env.BASE_URL || 'https://api.genvox.io';
 
-// List of all supported coins for discovery
-const SUPPORTED_COINS = Object.keys(CRYPTO_SUBREDDITS);
+// Coin enum for the bazaar schema, updated in place when the registry is reloaded
+const SUPPORTED_COINS = coinRegistry.symbols();
 
 // USDC contract on Base
 const USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
 
+// Price per query, and for forced fresh runs (Cache-Control: no-cache)
+const PRICE = '$0.03';
+const FRESH_PRICE = process.env.FRESH_PRICE || PRICE;
+
+// Payment fields of a paid response. The x402 middleware only releases a
+// response after settling its payment (a failed settlement turns it into a
+// 402, and error statuses are never settled), so a body carrying these was paid for
+function paymentFields(amount) {
+  return { paymentNetwork: 'Base Mainnet', paymentAmount: `${amount} USDC`, paymentStatus: 'settled' };
+}
+
+// Cache-Control: no-cache on the request skips the result cache and post store
+function wantsFresh(cacheControl) {
+  return /\bno-cache\b/i.test(cacheControl || '');
+}
+
+// Dynamic x402 price: fresh runs may cost more
+function sentimentPrice(context) {
+  return wantsFresh(context.adapter.getHeader('cache-control')) ? FRESH_PRICE : PRICE;
+}
+
+// Batch requests authorize the per-coin price for each supported coin, less a
+// bundle discount, and are settled only for the coins actually delivered
+const BATCH_DISCOUNT = parseFloat(process.env.BATCH_DISCOUNT || '0.25');
+// Coins analyzed at the same time within one batch
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '4', 10);
+
+// { coins, unsupported } from a batch body's `coins` (array or comma-separated;
+// all supported coins when missing), uppercased and deduplicated
+function parseBatchCoins(body) {
+  const requested = body?.coins === undefined
+    ? coinRegistry.symbols()
+    : (Array.isArray(body.coins) ? body.coins : String(body.coins).split(','));
+  const coins = [...new Set(requested.map(coin => String(coin).trim().toUpperCase()).filter(Boolean))];
+  return {
+    coins: coins.filter(coin => coinRegistry.supports(coin)),
+    unsupported: coins.filter(coin => !coinRegistry.supports(coin)),
+  };
+}
+
+function batchAmount(coinCount, fresh) {
+  const unitPrice = parseFloat((fresh ? FRESH_PRICE : PRICE).replace('$', ''));
+  return `$${(unitPrice * Math.max(coinCount, 1) * (1 - BATCH_DISCOUNT)).toFixed(4)}`;
+}
+
+function batchPrice(context) {
+  const { coins } = parseBatchCoins(context.adapter.getBody?.());
+  return batchAmount(coins.length, wantsFresh(context.adapter.getHeader('cache-control')));
+}
+
+// Market index: price, default weighting and the operator's market-cap table (MARKET_CAPS_PATH)
+const MARKET_PRICE = process.env.MARKET_PRICE || '$0.10';
+const MARKET_WEIGHTING = WEIGHTINGS.includes(process.env.MARKET_WEIGHTING) ? process.env.MARKET_WEIGHTING : 'equal';
+const marketCaps = loadMarketCaps();
+// Coins that must have data for an index; by default a majority of the enabled coins
+const MARKET_MIN_COINS = parseInt(process.env.MARKET_MIN_COINS || '0', 10);
+
+function marketMinCoins() {
+  const enabled = coinRegistry.symbols().length;
+  return MARKET_MIN_COINS > 0 ? Math.min(MARKET_MIN_COINS, enabled) : Math.floor(enabled / 2) + 1;
+}
+
+// Route description for discovery, naming the first few registry coins
+function sentimentDescription() {
+  const coins = coinRegistry.symbols();
+  return `Real-time crypto sentiment analysis - Reddit sentiment for ${coins.slice(0, 3).join(', ')}${coins.length > 3 ? ` and ${coins.length - 3} other cryptocurrencies` : ''}. Returns sentiment score, confidence, and top posts.`;
+}
+
+// Paid routes that carry sentimentDescription(), rewritten when the registry is reloaded
+const SENTIMENT_ROUTES = ['POST /v1/sentiment', 'GET /v1/sentiment', 'GET /v1/sentiment/*'];
+
 // Bazaar schema for x402scan dropdown
 const bazaarSchema = {
   input: { coin: 'BTC' },
@@ -367,64 +292,302 @@ const bazaarSchema = {
         enum: SUPPORTED_COINS,
         description: 'Cryptocurrency ticker symbol (BTC, ETH, SOL, etc.)',
       },
+      depth: {
+        type: 'string',
+        enum: ['posts', 'comments'],
+        description: 'posts (default) or comments to also score top comments from the busiest threads (slower)',
+      },
+      window: {
+        type: 'string',
+        enum: Object.keys(TIME_WINDOWS),
+        description: 'Only analyze posts created in this window (default: current hot posts)',
+      },
+      analyzer: {
+        type: 'string',
+        enum: analyzers.names,
+        description: `Sentiment analyzer, or ensemble for a weighted blend of all of them (default: ${analyzers.defaultName})`,
+      },
+      language: {
+        type: 'string',
+        enum: LANGUAGE_MODES,
+        description: `Non-English posts: all (score as-is), en (exclude them) or route (score with a lexicon for their language) (default: ${pipeline.defaultLanguage})`,
+      },
     },
     required: ['coin'],
   },
 };
 
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+// Runs before paymentMiddleware, so a request that can't succeed is rejected
+// with an error instead of a payment challenge
+
+// The coin a /v1/sentiment request names; x402scan and other clients put it in different places
+function requestedCoin(req) {
+  if (req.body?.coin) return { coin: req.body.coin, from: 'body' };
+  if (req.query?.coin) return { coin: req.query.coin, from: 'query' };
+  if (req.body?.input?.coin) return { coin: req.body.input.coin, from: 'body.input' };
+  return { coin: 'BTC', from: 'default' };
+}
+
+// Analysis options of a POST /v1/sentiment request (body, body.input or query)
+function requestedOptions(req) {
+  const pick = name => req.body?.[name] || req.body?.input?.[name] || req.query?.[name];
+  return { depth: pick('depth'), window: pick('window'), analyzer: pick('analyzer'), language: pick('language') };
+}
+
+// Supported coins, or (for stored data) any coin in the registry, enabled or not
+function requireCoin(coin, { includeDisabled = false } = {}) {
+  if (typeof coin !== 'string') {
+    throw new ApiError(400, 'INVALID_PARAMETER', 'coin must be a ticker symbol such as BTC', { parameter: 'coin' });
+  }
+  if (includeDisabled ? !coinRegistry.get(coin) : !coinRegistry.supports(coin)) {
+    throw new ApiError(400, 'UNSUPPORTED_COIN', `${coin.toUpperCase()} is not a supported coin`, {
+      supportedCoins: coinRegistry.symbols(),
+    });
+  }
+}
+
+// Accepted values of the analysis options; a missing option gets its default
+const OPTION_VALUES = {
+  depth: () => ['posts', 'comments'],
+  window: () => Object.keys(TIME_WINDOWS),
+  analyzer: () => analyzers.names,
+  language: () => LANGUAGE_MODES,
+};
+
+function requireOptions(input = {}) {
+  for (const [name, allowed] of Object.entries(OPTION_VALUES)) {
+    const value = input[name];
+    if (value !== undefined && value !== '' && !allowed().includes(value)) {
+      throw new ApiError(400, 'INVALID_PARAMETER', `${name} must be one of ${allowed().join(', ')}`, {
+        parameter: name,
+        allowed: allowed(),
+      });
+    }
+  }
+}
+
+function requireJsonObject(body) {
+  if (body !== undefined && (typeof body !== 'object' || body === null || Array.isArray(body))) {
+    throw new ApiError(400, 'INVALID_BODY', 'The request body must be a JSON object');
+  }
+}
+
+function requireHistory() {
+  if (!historyStore) {
+    throw new ApiError(503, 'HISTORY_DISABLED', 'History is disabled on this server (HISTORY_RETENTION_DAYS=0)');
+  }
+}
+
+const validation = express.Router();
+
+validation.post('/v1/sentiment', (req, res, next) => {
+  requireJsonObject(req.body);
+  requireCoin(requestedCoin(req).coin);
+  requireOptions(requestedOptions(req));
+  next();
+});
+
+validation.post('/v1/sentiment/batch', (req, res, next) => {
+  requireJsonObject(req.body);
+  const coins = req.body?.coins;
+  if (coins !== undefined && typeof coins !== 'string'
+    && !(Array.isArray(coins) && coins.every(coin => typeof coin === 'string'))) {
+    throw new ApiError(400, 'INVALID_PARAMETER', 'coins must be an array of ticker symbols or a comma-separated string', { parameter: 'coins' });
+  }
+  const { coins: supported, unsupported } = parseBatchCoins(req.body);
+  if (supported.length === 0) {
+    throw new ApiError(400, 'NO_SUPPORTED_COINS', 'coins must list at least one supported coin', {
+      unsupported,
+      supportedCoins: coinRegistry.symbols(),
+    });
+  }
+  requireOptions(req.body);
+  next();
+});
+
+validation.get('/v1/sentiment', (req, res, next) => {
+  requireCoin(req.query.coin || 'BTC');
+  requireOptions(req.query);
+  next();
+});
+
+validation.get(['/v1/sentiment/:coin', '/v1/sentiment/:coin/topics'], (req, res, next) => {
+  requireCoin(req.params.coin);
+  requireOptions(req.query);
+  next();
+});
+
+validation.get('/v1/sentiment/:coin/history', (req, res, next) => {
+  requireHistory();
+  requireCoin(req.params.coin, { includeDisabled: true });
+  requireOptions(req.query);
+  parseRange(req.query, to => to - 24 * 60 * 60 * 1000);
+  if (req.query.interval !== undefined && !Object.hasOwn(INTERVALS, req.query.interval)) {
+    throw new ApiError(400, 'INVALID_PARAMETER', `interval must be one of ${Object.keys(INTERVALS).join(', ')}`, {
+      parameter: 'interval',
+      allowed: Object.keys(INTERVALS),
+    });
+  }
+  if (req.query.format !== undefined && !['json', 'csv'].includes(req.query.format)) {
+    throw new ApiError(400, 'INVALID_PARAMETER', 'format must be json or csv', { parameter: 'format', allowed: ['json', 'csv'] });
+  }
+  next();
+});
+
+validation.get('/v1/backtest/:coin', (req, res, next) => {
+  requireHistory();
+  requireCoin(req.params.coin, { includeDisabled: true });
+  requireOptions(req.query);
+  parseRange(req.query, () => 0);
+
+  const coinUpper = req.params.coin.toUpperCase();
+  try {
+    res.locals.candles = loadPrices(coinUpper);
+  } catch (error) {
+    console.error(`Price file for ${coinUpper}:`, error.message);
+    throw new ApiError(500, 'PRICES_INVALID', `The price file for ${coinUpper} could not be read`);
+  }
+  if (!res.locals.candles) {
+    throw new ApiError(404, 'PRICES_NOT_FOUND', `No price data for ${coinUpper} on this server`);
+  }
+  next();
+});
+
+validation.get('/v1/market', (req, res, next) => {
+  if (req.query.weighting !== undefined && !WEIGHTINGS.includes(req.query.weighting)) {
+    throw new ApiError(400, 'INVALID_PARAMETER', `weighting must be one of ${WEIGHTINGS.join(', ')}`, {
+      parameter: 'weighting',
+      allowed: WEIGHTINGS,
+    });
+  }
+  if (req.query.caps !== undefined && !parseMarketCaps(String(req.query.caps))) {
+    throw new ApiError(400, 'INVALID_PARAMETER', 'caps must be a list of COIN:marketCap pairs, e.g. BTC:1.3e12,ETH:4.1e11', { parameter: 'caps' });
+  }
+  requireOptions(req.query);
+  next();
+});
+
+validation.get('/v1/anomalies', (req, res, next) => {
+  requireHistory();
+  requireOptions(req.query);
+  next();
+});
+
+app.use(validation);
+
 // Main payment middleware with bazaar extension for x402scan
-app.use(
-  paymentMiddleware(
-    {
-      'POST /v1/sentiment': {
-        accepts: [
-          {
-            scheme: 'exact',
-            price: '$0.03',
-            network: NETWORK,
-            payTo,
-          },
-        ],
-        description: 'Real-time crypto sentiment analysis - Reddit sentiment for BTC, ETH, SOL and 9 other cryptocurrencies. Returns sentiment score, confidence, and top posts.',
-        mimeType: 'application/json',
-        extensions: {
-          ...declareDiscoveryExtension(bazaarSchema),
-        },
+// (route configs are kept so a registry reload can update them in place)
+const paymentRoutes = {
+  'POST /v1/sentiment': {
+    accepts: [
+      {
+        scheme: 'exact',
+        price: sentimentPrice,
+        network: NETWORK,
+        payTo,
       },
-      'GET /v1/sentiment': {
-        accepts: [
-          {
-            scheme: 'exact',
-            price: '$0.03',
-            network: NETWORK,
-            payTo,
-          },
-        ],
-        description: 'Real-time crypto sentiment analysis - Reddit sentiment for BTC, ETH, SOL and 9 other cryptocurrencies. Returns sentiment score, confidence, and top posts.',
-        mimeType: 'application/json',
-        extensions: {
-          ...declareDiscoveryExtension(bazaarSchema),
-        },
+    ],
+    description: sentimentDescription(),
+    mimeType: 'application/json',
+    extensions: {
+      ...declareDiscoveryExtension(bazaarSchema),
+    },
+  },
+  'POST /v1/sentiment/batch': {
+    accepts: [
+      {
+        scheme: 'upto',
+        price: batchPrice,
+        network: NETWORK,
+        payTo,
+      },
+    ],
+    description: `Batch crypto sentiment - results for several coins in one request, ${Math.round(BATCH_DISCOUNT * 100)}% cheaper than paying per coin.`,
+    mimeType: 'application/json',
+  },
+  'GET /v1/market': {
+    accepts: [
+      {
+        scheme: 'exact',
+        price: MARKET_PRICE,
+        network: NETWORK,
+        payTo,
       },
-      // Keep GET with param for backwards compatibility
-      'GET /v1/sentiment/*': {
-        accepts: [
-          {
-            scheme: 'exact',
-            price: '$0.03',
-            network: NETWORK,
-            payTo,
-          },
-        ],
-        description: 'Real-time crypto sentiment analysis - Reddit sentiment for BTC, ETH, SOL and 9 other cryptocurrencies. Returns sentiment score, confidence, and top posts.',
-        mimeType: 'application/json',
+    ],
+    description: 'Crypto market sentiment index - a 0-100 fear/greed gauge across all coins, with the most bullish and bearish coins and each coin\'s share of discussion.',
+    mimeType: 'application/json',
+  },
+  'GET /v1/sentiment': {
+    accepts: [
+      {
+        scheme: 'exact',
+        price: sentimentPrice,
+        network: NETWORK,
+        payTo,
       },
+    ],
+    description: sentimentDescription(),
+    mimeType: 'application/json',
+    extensions: {
+      ...declareDiscoveryExtension(bazaarSchema),
     },
-    resourceServer,
-    undefined,
-    paywall,
-  ),
-);
+  },
+  // Must come before the wildcard below, which would also match it
+  'GET /v1/sentiment/[coin]/history': {
+    accepts: [
+      {
+        scheme: 'exact',
+        price: PRICE,
+        network: NETWORK,
+        payTo,
+      },
+    ],
+    description: 'Crypto sentiment history - bucketed time series of score, confidence, post volume and breakdown as JSON or CSV.',
+    mimeType: 'application/json',
+  },
+  'GET /v1/backtest/*': {
+    accepts: [
+      {
+        scheme: 'exact',
+        price: PRICE,
+        network: NETWORK,
+        payTo,
+      },
+    ],
+    description: 'Crypto sentiment backtest - lead/lag correlation, hit rate and strategy P&L of recorded signals against price.',
+    mimeType: 'application/json',
+  },
+  'GET /v1/anomalies': {
+    accepts: [
+      {
+        scheme: 'exact',
+        price: PRICE,
+        network: NETWORK,
+        payTo,
+      },
+    ],
+    description: 'Crypto sentiment anomalies - coins whose Reddit sentiment or post volume departs sharply from their baseline.',
+    mimeType: 'application/json',
+  },
+  // Keep GET with param for backwards compatibility
+  'GET /v1/sentiment/*': {
+    accepts: [
+      {
+        scheme: 'exact',
+        price: sentimentPrice,
+        network: NETWORK,
+        payTo,
+      },
+    ],
+    description: sentimentDescription(),
+    mimeType: 'application/json',
+  },
+};
+
+app.use(paymentMiddleware(paymentRoutes, resourceServer, undefined, paywall));
 
 // ============================================
 // x402 DISCOVERY DOCUMENT
@@ -442,7 +605,7 @@ Real-time cryptocurrency sentiment analysis powered by Reddit data and VADER sen
 
 ## How to Use
 Select a coin from the dropdown and click Fetch. Supported coins:
-${SUPPORTED_COINS.map(coin => `- **${coin}** (${COIN_NAMES[coin]})`).join('\n')}
+${coinRegistry.enabled().map(({ coin, name }) => `- **${coin}** (${name})`).join('\n')}
 
 ## Pricing
 - **$0.03 USDC** per query
@@ -467,7 +630,7 @@ ${SUPPORTED_COINS.map(coin => `- **${coin}** (${COIN_NAMES[coin]})`).join('\n')}
 // HOMEPAGE - GENVOX LANDING PAGE
 // ============================================
 app.get('/', (req, res) => {
-  const supportedCoins = Object.keys(CRYPTO_SUBREDDITS).map(coin => 
+  const supportedCoins = coinRegistry.symbols().map(coin => 
     `<span class="coin">${coin}</span>`
   ).join('');
   
@@ -975,79 +1138,246 @@ console.log(sentiment.signal); <span style="color: var(--cyan)">// "BULLISH"</sp
 // PROTECTED ENDPOINT - Requires x402 Payment
 // ============================================
 
-// Shared function to get sentiment (used by both POST and GET)
-async function getSentiment(coin) {
+// Top comments from the most-engaged relevant threads, fetched concurrently
+// until `deadlineAt`; threads still loading then are dropped
+async function fetchTopComments(posts, coin, postSource, deadlineAt) {
+  const threads = pipeline.selectRelevantPosts(posts, coin).posts
+    .filter(post => postSource.get(post)?.fetchComments)
+    .sort((a, b) => (b.score + b.numComments) - (a.score + a.numComments))
+    .slice(0, COMMENT_THREADS);
+
+  const results = await runWithDeadline(threads.map(post => ({
+    name: `comments ${post.id || post.title}`,
+    run: signal => postSource.get(post).fetchComments(post, COMMENTS_PER_THREAD, signal),
+  })), { concurrency: FETCH_CONCURRENCY, deadlineMs: Math.max(0, deadlineAt - Date.now()) });
+  const comments = results.filter(result => result.status === 'ok').flatMap(result => result.value);
+
+  console.log(`   Comments: ${comments.length} from ${threads.length} threads`);
+  return comments;
+}
+
+// depth=comments adds comment sentiment at the cost of extra fetches
+function parseDepth(value) {
+  return value === 'comments' ? 'comments' : 'posts';
+}
+
+// Unknown or missing names fall back to the default analyzer
+function parseAnalyzer(value) {
+  return analyzers.plan(value).name;
+}
+
+function parseLanguage(value) {
+  return LANGUAGE_MODES.includes(value) ? value : pipeline.defaultLanguage;
+}
+
+function parseWindow(value) {
+  return Object.hasOwn(TIME_WINDOWS, value) ? value : null;
+}
+
+// Concurrent fetches per request, and the overall deadline for a live request
+const FETCH_CONCURRENCY = parseInt(process.env.FETCH_CONCURRENCY || '4', 10);
+const FETCH_DEADLINE_MS = parseInt(process.env.FETCH_DEADLINE_MS || '5000', 10);
+// Background ingestion isn't holding up a caller, so it can wait longer
+const INGEST_DEADLINE_MS = parseInt(process.env.INGEST_DEADLINE_MS || '60000', 10);
+
+// Tasks with a shareKey (e.g. r/CryptoCurrency) run once per `shared` map,
+// so a batch fetches them for the first coin and reuses them for the rest.
+// A shared fetch gets its own deadline: the coin that started it hitting its
+// deadline must not abort the fetch for the coins still waiting on it
+function shareTask(task, shared, deadlineMs) {
+  if (!shared || !task.shareKey) return task;
+  const key = `${task.adapter}:${task.shareKey}`;
+  return {
+    ...task,
+    run: () => {
+      if (!shared.has(key)) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), deadlineMs);
+        shared.set(key, task.run(controller.signal).finally(() => clearTimeout(timer)));
+      }
+      return shared.get(key);
+    },
+  };
+}
+
+// Fetch posts for a coin from every configured source, concurrently and
+// under one deadline; sources still running at the deadline are dropped.
+// Background fetches (ingestion) yield to request-time fetches for rate budget.
+async function collectPosts(coinUpper, { deadlineMs = FETCH_DEADLINE_MS, window = null, shared = null, background = false } = {}) {
+  const entry = coinRegistry.get(coinUpper);
+  if (!entry) throw new Error(`${coinUpper} is not in the coin registry`);
+  const { name: coinName, subreddits, searches } = entry;
+
+  const tasks = sources.forCoin(coinUpper).flatMap(source =>
+    source.plan({ coin: coinUpper, coinName, subreddits, searches, window, background })
+      .map(task => shareTask({ ...task, adapter: source.name }, shared, deadlineMs)),
+  );
+  const results = await runWithDeadline(tasks, { concurrency: FETCH_CONCURRENCY, deadlineMs });
+
+  const scanned = [];
+  let items = [];
+
+  results.forEach((result, i) => {
+    if (result.status !== 'ok') return;
+    items = items.concat(result.value.posts.map(post => ({ adapter: tasks[i].adapter, post })));
+    scanned.push(...result.value.scanned);
+  });
+
+  const sourceStatus = results.map(result => ({
+    name: result.name,
+    status: result.status,
+    ...(result.status === 'ok' && { posts: result.value.posts.length }),
+    ...(result.error && { error: result.error }),
+    ...(result.ms !== undefined && { ms: result.ms }),
+  }));
+
+  const timedOut = results.filter(result => result.status === 'timeout' || result.status === 'skipped').length;
+  if (timedOut > 0) {
+    console.log(`   ⏱️ Deadline hit: ${timedOut} of ${tasks.length} fetches dropped`);
+  }
+
+  return { items, scanned, sourceStatus };
+}
+
+// Background job: refresh one coin in the post store
+async function ingestCoin(coinUpper) {
+  const { items, scanned, sourceStatus } = await collectPosts(coinUpper, { deadlineMs: INGEST_DEADLINE_MS, background: true });
+  // Keep the previous snapshot if every source came back empty
+  if (items.length === 0) return 0;
+  const added = await postStore.addPosts(coinUpper, items, { scanned, sourceStatus });
+  // Re-run the default analysis on the new posts so history gets a snapshot every cycle
+  await getSentiment(coinUpper, { refresh: true });
+  return added;
+}
+
+// Full sentiment run for one coin. Post and comment fetches share one
+// FETCH_DEADLINE_MS budget, so depth=comments doesn't double the wait
+async function computeSentiment(coin, options = {}) {
+  const deadlineAt = Date.now() + FETCH_DEADLINE_MS;
+  const depth = parseDepth(options.depth);
+  const window = parseWindow(options.window);
+  const plan = analyzers.plan(options.analyzer);
+  const language = parseLanguage(options.language);
   const coinUpper = coin.toUpperCase();
-  const coinName = COIN_NAMES[coinUpper] || coinUpper;
+  const coinName = coinRegistry.nameOf(coinUpper);
   
   console.log(`\n💰 Processing request for ${coinUpper} (${coinName}) sentiment`);
 
-  const subreddits = CRYPTO_SUBREDDITS[coinUpper] || ['CryptoCurrency'];
-  const subredditsScanned = [];
+  const coinSources = sources.forCoin(coinUpper);
+  const sourceLabel = coinSources.map(source => source.label).join(' + ');
+
+  // Answer from the warm store when ingestion has covered this coin recently.
+  // The store holds hot listings, so windowed requests fetch their own listings live
+  const storeMeta = window ? null : postStore?.getMeta(coinUpper);
+  const storeWindowMs = STORE_WINDOW_MINUTES * 60 * 1000;
+  let collected;
+  let dataSource;
+  let dataAsOf;
+
+  if (!options.fresh && storeMeta && Date.now() - storeMeta.lastIngestedAt < storeWindowMs) {
+    collected = {
+      items: postStore.getPosts(coinUpper, storeWindowMs),
+      scanned: storeMeta.scanned || [],
+      sourceStatus: storeMeta.sourceStatus || [],
+    };
+    dataSource = 'store';
+    dataAsOf = storeMeta.lastIngestedAt;
+  } else {
+    collected = await collectPosts(coinUpper, { window, shared: options.shared });
+    dataSource = 'live';
+    dataAsOf = Date.now();
+    // Seed the store for supported coins so the next request is served warm.
+    // A failed write only costs the warm start, not this request's result
+    if (postStore && !window && coinRegistry.supports(coinUpper) && collected.items.length > 0) {
+      await postStore.addPosts(coinUpper, collected.items, {
+        scanned: collected.scanned,
+        sourceStatus: collected.sourceStatus,
+      }).catch(error => console.error(`Post store write for ${coinUpper} failed:`, error.message));
+    }
+  }
+
+  const subredditsScanned = collected.scanned;
+  const postSource = new Map();
   let allPosts = [];
 
-  // Fetch from each subreddit
-  for (const sub of subreddits) {
-    if (allPosts.length > 0) {
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
-    
-    const posts = await fetchSubreddit(sub, 50);
-    if (posts.length > 0) {
-      allPosts = allPosts.concat(posts);
-      subredditsScanned.push(`r/${sub}`);
-    }
+  for (const { adapter, post } of collected.items) {
+    postSource.set(post, sources.adapters[adapter]);
+    allPosts.push(post);
   }
 
-  // Also search for the coin
-  await new Promise(resolve => setTimeout(resolve, 500));
-  const searchPosts = await searchReddit(`${coinName} crypto cryptocurrency`, 50);
-  allPosts = allPosts.concat(searchPosts);
-
-  // Search by ticker too
-  await new Promise(resolve => setTimeout(resolve, 500));
-  const tickerPosts = await searchReddit(`$${coinUpper} crypto`, 30);
-  allPosts = allPosts.concat(tickerPosts);
-
-  // Deduplicate by title
-  const seen = new Set();
-  allPosts = allPosts.filter(post => {
-    const key = post.title.toLowerCase().substring(0, 50);
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
+  const freshness = {
+    dataSource,
+    dataAsOf: new Date(dataAsOf).toISOString(),
+    dataAgeSeconds: Math.round((Date.now() - dataAsOf) / 1000),
+  };
+
+  // Drop duplicates, spam and cross-posts, apply the window, then drop or
+  // route non-English posts as asked
+  const fetchedCount = allPosts.length;
+  const prepared = pipeline.preparePosts(allPosts, {
+    windowSeconds: window ? TIME_WINDOWS[window] : null,
+    language,
   });
+  allPosts = prepared.posts;
+  const { filters, languages, routes } = prepared;
+  console.log(`   Filters kept ${filters.postsKept} of ${fetchedCount} posts`);
+  if (window) {
+    console.log(`   Window ${window}: ${prepared.windowed} of ${filters.postsKept} posts`);
+  }
 
-  console.log(`   Total unique posts: ${allPosts.length}`);
+  const createdTimes = allPosts.map(post => post.created).filter(Boolean);
+  const windowInfo = {
+    window: window || 'hot',
+    oldestPostAt: createdTimes.length > 0 ? new Date(Math.min(...createdTimes) * 1000).toISOString() : null,
+    newestPostAt: createdTimes.length > 0 ? new Date(Math.max(...createdTimes) * 1000).toISOString() : null,
+  };
+
+  console.log(`   Posts to analyze: ${allPosts.length}`);
 
   // Handle case where no posts were found
   if (allPosts.length === 0) {
     console.log(`   ⚠️ No posts found for ${coinUpper}`);
+    // Posts arrived but filtering or the window left nothing to score
+    const nothingUsable = fetchedCount > 0;
+    const windowNote = window ? ` from the last ${window}` : '';
     return {
       coin: coinUpper,
       name: coinName,
       timestamp: new Date().toISOString(),
-      summary: `Unable to fetch Reddit data for ${coinName}. Reddit may be rate-limiting requests. Try again in a few minutes.`,
+      summary: nothingUsable
+        ? `No usable Reddit posts about ${coinName}${windowNote}.${window ? ' Try a longer window.' : ''}`
+        : `Unable to fetch Reddit data for ${coinName}. Reddit may be rate-limiting requests. Try again in a few minutes.`,
       signal: 'UNAVAILABLE',
       score: null,
       confidence: null,
+      confidenceInterval: null,
+      effectiveSampleSize: 0,
+      momentum: null,
+      anomaly: false,
       postsAnalyzed: 0,
       positiveCount: 0,
       neutralCount: 0,
       negativeCount: 0,
-      source: 'Reddit',
-      analyzer: 'VADER',
+      source: sourceLabel,
+      analyzer: plan.label,
+      analyzerScores: [],
       subredditsScanned: [],
+      sourceStatus: collected.sourceStatus,
+      filters,
+      languages,
+      ...windowInfo,
+      ...freshness,
       topPosts: [],
-      paymentNetwork: 'Base Mainnet',
-      paymentAmount: '$0.03 USDC',
-      paymentStatus: 'confirmed',
-      note: 'Reddit data temporarily unavailable. Please try again in a few minutes.',
+      topics: [],
+      note: nothingUsable
+        ? `All ${fetchedCount} fetched posts were removed by filters, fell outside the window or were excluded by language.`
+        : 'Reddit data temporarily unavailable. Please try again in a few minutes.',
     };
   }
 
-  // Analyze sentiment with VADER
-  const analysis = analyzeWithVader(allPosts, coinUpper);
+  const comments = depth === 'comments' ? await fetchTopComments(allPosts, coinUpper, postSource, deadlineAt) : [];
+
+  const analysis = pipeline.analyzePosts(allPosts, coinUpper, comments, plan, routes);
   
   const signalEmoji = {
     'very bullish': '🚀',
@@ -1059,12 +1389,25 @@ async function getSentiment(coin) {
   
   const emoji = signalEmoji[analysis.sentiment] || '📊';
   const confidencePercent = Math.round(analysis.confidence * 100);
-  const summary = `${emoji} ${coinName} sentiment is ${analysis.sentiment.toUpperCase()} (score: ${analysis.score.toFixed(3)}) with ${confidencePercent}% confidence based on ${analysis.postsAnalyzed} Reddit posts.`;
+  const commentNote = analysis.comments ? ` and ${analysis.comments.commentsAnalyzed} comments` : '';
+  const summary = `${emoji} ${coinName} sentiment is ${analysis.sentiment.toUpperCase()} (score: ${analysis.score.toFixed(3)}) with ${confidencePercent}% confidence based on ${analysis.postsAnalyzed} Reddit posts${commentNote}.`;
+
+  const now = Date.now();
+  const momentum = historyStore
+    ? measureMomentum(
+      { at: now, score: analysis.score, postsAnalyzed: analysis.postsAnalyzed },
+      historyStore.query(coinUpper, {
+        variant: variantKey({ depth, window, analyzer: plan.name, language }),
+        from: now - LOOKBACK_MS,
+      }),
+      MOMENTUM_OPTIONS,
+    )
+    : null;
 
   const response = {
     coin: coinUpper,
     name: coinName,
-    timestamp: new Date().toISOString(),
+    timestamp: new Date(now).toISOString(),
     summary,
     signal: analysis.sentiment.toUpperCase().replace(' ', '_'),
     score: analysis.score,
@@ -1074,16 +1417,50 @@ async function getSentiment(coin) {
                       analysis.score > -0.3 ? 'Moderate negative sentiment' : 'Strong negative sentiment',
     confidence: analysis.confidence,
     confidencePercent: `${confidencePercent}%`,
+    // Statistically grounded alternative to `confidence`; see confidenceInterval.method
+    confidenceInterval: analysis.confidenceInterval,
+    effectiveSampleSize: analysis.effectiveSampleSize,
+    // Score change against earlier snapshots and z-scores against the past week
+    momentum,
+    anomaly: momentum ? momentum.anomalyReasons.length > 0 : false,
     postsAnalyzed: analysis.postsAnalyzed,
+    // Posts that never named this coin (e.g. other coins' threads in r/CryptoCurrency)
+    irrelevantPosts: analysis.irrelevantPosts,
+    // Posts naming other coins too, scored only on the parts about this coin
+    multiCoinPosts: analysis.multiCoinPosts,
     positiveCount: analysis.breakdown.positive,
     positivePercent: analysis.postsAnalyzed > 0 ? `${Math.round((analysis.breakdown.positive / analysis.postsAnalyzed) * 100)}%` : '0%',
     neutralCount: analysis.breakdown.neutral,
     neutralPercent: analysis.postsAnalyzed > 0 ? `${Math.round((analysis.breakdown.neutral / analysis.postsAnalyzed) * 100)}%` : '0%',
     negativeCount: analysis.breakdown.negative,
     negativePercent: analysis.postsAnalyzed > 0 ? `${Math.round((analysis.breakdown.negative / analysis.postsAnalyzed) * 100)}%` : '0%',
-    source: 'Reddit',
-    analyzer: 'VADER (Valence Aware Dictionary and sEntiment Reasoner)',
+    depth,
+    ...(analysis.comments && {
+      postScore: analysis.postScore,
+      commentSentiment: {
+        score: analysis.comments.score,
+        commentsAnalyzed: analysis.comments.commentsAnalyzed,
+        threadsSampled: analysis.comments.threadsSampled,
+        positiveCount: analysis.comments.breakdown.positive,
+        neutralCount: analysis.comments.breakdown.neutral,
+        negativeCount: analysis.comments.breakdown.negative,
+      },
+    }),
+    source: sourceLabel,
+    analyzer: plan.label,
+    // Each analyzer's own score, next to the combined score above
+    analyzerScores: plan.members.map(({ analyzer, weight }) => ({
+      name: analyzer.name,
+      label: analyzer.label,
+      weight: parseFloat(weight.toFixed(3)),
+      score: analysis.analyzerScores[analyzer.name],
+    })),
     subredditsScanned,
+    sourceStatus: collected.sourceStatus,
+    filters,
+    languages,
+    ...windowInfo,
+    ...freshness,
     topPosts: analysis.topPosts.map((post, i) => ({
       rank: i + 1,
       title: post.title,
@@ -1092,72 +1469,372 @@ async function getSentiment(coin) {
       subreddit: `r/${post.subreddit}`,
       engagement: post.engagement,
     })),
-    paymentNetwork: 'Base Mainnet',
-    paymentAmount: '$0.03 USDC',
-    paymentStatus: 'confirmed',
+    // Why sentiment moved: named themes and trending keywords with their average sentiment
+    topics: analysis.topics,
   };
 
   console.log(`   Result: ${analysis.sentiment} (score: ${analysis.score}, confidence: ${analysis.confidence})`);
   return response;
 }
 
+// Per-coin result cache (0 disables); concurrent requests for a coin share one run
+const CACHE_TTL_SECONDS = parseFloat(process.env.CACHE_TTL_SECONDS || '120');
+// When a run comes back with no data, the last good result is served instead, marked
+// stale, if it expired less than this long ago (0: only results still within the TTL)
+const STALE_MAX_AGE_MINUTES = parseFloat(process.env.STALE_MAX_AGE_MINUTES ?? '360');
+// Retry-After for 503s when there is no data at all
+const RETRY_AFTER_SECONDS = parseInt(process.env.RETRY_AFTER_SECONDS || '60', 10);
+
+const resultCache = createResultCache({
+  ttlMs: CACHE_TTL_SECONDS * 1000,
+  staleMs: STALE_MAX_AGE_MINUTES * 60 * 1000,
+  // Never cache a failed scrape
+  shouldCache: result => result.signal !== 'UNAVAILABLE',
+});
+
+// Shared function to get sentiment (used by both POST and GET)
+async function getSentiment(coin, options = {}) {
+  const coinUpper = coin.toUpperCase();
+  const depth = parseDepth(options.depth);
+  const window = parseWindow(options.window);
+  const analyzer = parseAnalyzer(options.analyzer);
+  const language = parseLanguage(options.language);
+  const fresh = Boolean(options.fresh);
+  const variant = variantKey({ depth, window, analyzer, language });
+
+  // `refresh` recomputes from the post store; `fresh` also scrapes live
+  const cacheKey = `${coinUpper}:${variant}`;
+  let { value, cachedAt, hit } = await resultCache.get(
+    cacheKey,
+    async () => {
+      const result = await computeSentiment(coinUpper, { depth, window, analyzer, language, fresh, shared: options.shared });
+      if (historyStore && result.signal !== 'UNAVAILABLE') {
+        historyStore.add(toSnapshot(result, variant))
+          .catch(error => console.error(`History write for ${coinUpper} failed:`, error.message));
+      }
+      return result;
+    },
+    { fresh: fresh || Boolean(options.refresh), flight: fresh ? 'fresh' : 'refresh' },
+  );
+
+  if (hit) {
+    console.log(`\n⚡ Cache hit for ${coinUpper} (${depth}, ${window || 'hot'}, ${analyzer}, ${language})`);
+  }
+
+  // No data this time: fall back to the last good result for the same variant,
+  // except for no-cache requests, which paid for a fresh run
+  let staleReason = null;
+  const lastGood = value.signal === 'UNAVAILABLE' && !fresh ? resultCache.lastGood(cacheKey) : null;
+  if (lastGood) {
+    console.log(`   ↩️ Serving stale ${coinUpper} result from ${new Date(lastGood.cachedAt).toISOString()}`);
+    staleReason = value.note;
+    ({ value, cachedAt } = lastGood);
+  }
+
+  return {
+    ...value,
+    stale: Boolean(staleReason),
+    ...(staleReason && { staleReason }),
+    cachedAt: new Date(cachedAt).toISOString(),
+    ageSeconds: Math.round((Date.now() - cachedAt) / 1000),
+    ...paymentFields(fresh ? FRESH_PRICE : PRICE),
+  };
+}
+
+// getSentiment for a paid single-coin route. Without a usable (or stale)
+// result it answers a retryable 503, which the payment middleware never settles
+async function paidSentiment(res, coin, options) {
+  const result = await getSentiment(coin, options);
+  if (result.signal === 'UNAVAILABLE') {
+    res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+    throw new ApiError(503, 'DATA_UNAVAILABLE', result.summary, {
+      reason: result.note,
+      retryAfterSeconds: RETRY_AFTER_SECONDS,
+      paymentStatus: 'not_settled',
+      sourceStatus: result.sourceStatus,
+    });
+  }
+  return result;
+}
+
 // POST /v1/sentiment - x402scan sends coin in body
-app.post('/v1/sentiment', async (req, res) => {
-  // Log everything to debug x402scan input
+app.post('/v1/sentiment', asyncRoute(async (req, res) => {
   console.log('\n📥 POST /v1/sentiment received:');
   console.log('   Body:', JSON.stringify(req.body));
   console.log('   Query:', JSON.stringify(req.query));
-  console.log('   Headers content-type:', req.headers['content-type']);
-  
-  // Try multiple ways to get the coin parameter
-  let coin = 'BTC'; // default
-  
-  // Check body (most likely)
-  if (req.body?.coin) {
-    coin = req.body.coin;
-    console.log('   Found coin in body:', coin);
-  } 
-  // Check if body is the coin directly (string)
-  else if (typeof req.body === 'string') {
-    coin = req.body;
-    console.log('   Found coin as body string:', coin);
-  }
-  // Check query params
-  else if (req.query?.coin) {
-    coin = req.query.coin;
-    console.log('   Found coin in query:', coin);
-  }
-  // Check for nested input object (some APIs use this)
-  else if (req.body?.input?.coin) {
-    coin = req.body.input.coin;
-    console.log('   Found coin in body.input:', coin);
+
+  // Validated before payment, see requestedCoin
+  const { coin, from } = requestedCoin(req);
+  console.log(`   Using coin from ${from}:`, coin);
+
+  const fresh = wantsFresh(req.headers['cache-control']);
+  const result = await paidSentiment(res, coin, { ...requestedOptions(req), fresh });
+  res.json(result);
+}));
+
+// POST /v1/sentiment/batch - several coins in one paid request, with per-coin errors
+app.post('/v1/sentiment/batch', asyncRoute(async (req, res) => {
+  const { coins, unsupported } = parseBatchCoins(req.body);
+  const fresh = wantsFresh(req.headers['cache-control']);
+  const options = {
+    depth: req.body?.depth,
+    window: req.body?.window,
+    analyzer: req.body?.analyzer,
+    language: req.body?.language,
+    fresh,
+    // Listings fetched for one coin are reused by the others
+    shared: new Map(),
+  };
+  console.log(`\n📦 Batch request for ${coins.join(', ')}`);
+
+  const results = await mapWithConcurrency(coins, BATCH_CONCURRENCY, async coin => {
+    try {
+      const { paymentNetwork, paymentAmount, paymentStatus, ...result } = await getSentiment(coin, options);
+      if (result.signal === 'UNAVAILABLE') {
+        return { coin, error: { code: 'DATA_UNAVAILABLE', message: result.note, details: { sourceStatus: result.sourceStatus } } };
+      }
+      return result;
+    } catch (error) {
+      console.error(`   Batch ${coin} failed:`, error.message);
+      return { coin, error: { code: 'ANALYSIS_FAILED', message: 'Sentiment analysis failed for this coin' } };
+    }
+  });
+  for (const coin of unsupported) {
+    results.push({ coin, error: { code: 'UNSUPPORTED_COIN', message: `${coin} is not a supported coin` } });
   }
-  else {
-    console.log('   No coin found, using default BTC');
+
+  const failed = results.filter(result => result.error).length;
+  const delivered = results.length - failed;
+  // Nothing to deliver: don't settle
+  if (delivered === 0) {
+    res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+    throw new ApiError(503, 'DATA_UNAVAILABLE', 'None of the requested coins could be analyzed right now. Please try again in a few minutes.', {
+      retryAfterSeconds: RETRY_AFTER_SECONDS,
+      paymentStatus: 'not_settled',
+      results,
+    });
   }
-  
-  const result = await getSentiment(coin);
-  res.json(result);
-});
+
+  // Settle only for the coins delivered, out of the authorized maximum
+  const amount = batchAmount(delivered, fresh);
+  if (delivered < coins.length) setSettlementOverrides(res, { amount });
+
+  res.json({
+    timestamp: new Date().toISOString(),
+    requested: coins.length + unsupported.length,
+    succeeded: delivered,
+    failed,
+    results,
+    ...paymentFields(amount),
+  });
+}));
 
 // GET /v1/sentiment - for x402scan testing (defaults to BTC)
-app.get('/v1/sentiment', async (req, res) => {
+app.get('/v1/sentiment', asyncRoute(async (req, res) => {
   console.log('\n📥 GET /v1/sentiment received:');
   console.log('   Query:', JSON.stringify(req.query));
   
   const coin = req.query?.coin || 'BTC';
   console.log('   Using coin:', coin);
   
-  const result = await getSentiment(coin);
+  const result = await paidSentiment(res, coin, {
+    depth: req.query?.depth,
+    window: req.query?.window,
+    analyzer: req.query?.analyzer,
+    language: req.query?.language,
+    fresh: wantsFresh(req.headers['cache-control']),
+  });
   res.json(result);
-});
+}));
 
 // GET /v1/sentiment/:coin - backwards compatible URL-based access
-app.get('/v1/sentiment/:coin', async (req, res) => {
+app.get('/v1/sentiment/:coin', asyncRoute(async (req, res) => {
   const coin = req.params.coin;
-  const result = await getSentiment(coin);
+  const result = await paidSentiment(res, coin, {
+    depth: req.query?.depth,
+    window: req.query?.window,
+    analyzer: req.query?.analyzer,
+    language: req.query?.language,
+    fresh: wantsFresh(req.headers['cache-control']),
+  });
   res.json(result);
+}));
+
+// GET /v1/sentiment/:coin/topics - just the topics from the same (cached) analysis
+app.get('/v1/sentiment/:coin/topics', asyncRoute(async (req, res) => {
+  const result = await paidSentiment(res, req.params.coin, {
+    depth: req.query?.depth,
+    window: req.query?.window,
+    analyzer: req.query?.analyzer,
+    language: req.query?.language,
+    fresh: wantsFresh(req.headers['cache-control']),
+  });
+  res.json({
+    coin: result.coin,
+    name: result.name,
+    timestamp: result.timestamp,
+    signal: result.signal,
+    score: result.score,
+    postsAnalyzed: result.postsAnalyzed,
+    window: result.window,
+    topics: result.topics,
+    stale: result.stale,
+    ...(result.staleReason && { staleReason: result.staleReason }),
+    cachedAt: result.cachedAt,
+    ageSeconds: result.ageSeconds,
+    paymentNetwork: result.paymentNetwork,
+    paymentAmount: result.paymentAmount,
+    paymentStatus: result.paymentStatus,
+  });
+}));
+
+// from/to as ISO 8601 or unix seconds
+function parseTime(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) * 1000 : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// { from, to } in ms; `defaultFrom(to)` applies when from is missing
+function parseRange(query, defaultFrom) {
+  const to = parseTime(query?.to, Date.now());
+  const from = to === null ? null : parseTime(query?.from, defaultFrom(to));
+  if (from === null || to === null || from > to) {
+    throw new ApiError(400, 'INVALID_RANGE', 'from and to must be ISO 8601 dates or unix seconds, with from <= to');
+  }
+  return { from, to };
+}
+
+// depth/window/analyzer/language query parameters => the variant key snapshots are stored under
+function variantFromQuery(query = {}) {
+  return variantKey({
+    depth: parseDepth(query.depth),
+    window: parseWindow(query.window),
+    analyzer: parseAnalyzer(query.analyzer),
+    language: parseLanguage(query.language),
+  });
+}
+
+// GET /v1/sentiment/:coin/history - stored snapshots bucketed into a time series
+app.get('/v1/sentiment/:coin/history', (req, res) => {
+  const coinUpper = req.params.coin.toUpperCase();
+  const { from, to } = parseRange(req.query, end => end - 24 * 60 * 60 * 1000);
+
+  const interval = Object.hasOwn(INTERVALS, req.query?.interval) ? req.query.interval : '1h';
+  const variant = variantFromQuery(req.query);
+  const points = bucketSnapshots(historyStore.query(coinUpper, { variant, from, to }), INTERVALS[interval]);
+
+  if (req.query?.format === 'csv' || (req.query?.format === undefined && /\btext\/csv\b/.test(req.headers.accept || ''))) {
+    return res.type('text/csv').send(toCsv(points));
+  }
+
+  res.json({
+    coin: coinUpper,
+    name: coinRegistry.nameOf(coinUpper),
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    interval,
+    variant,
+    points,
+    ...paymentFields(PRICE),
+  });
+});
+
+// GET /v1/backtest/:coin - stored signals vs the operator's local price file
+// Price file and history were checked before payment; candles come from validation
+app.get('/v1/backtest/:coin', (req, res) => {
+  const coinUpper = req.params.coin.toUpperCase();
+  const { from, to } = parseRange(req.query, () => 0);
+
+  const variant = variantFromQuery(req.query);
+  const result = runBacktest(historyStore.query(coinUpper, { variant, from, to }), res.locals.candles, parseBacktestOptions(req.query));
+  res.json({
+    coin: coinUpper,
+    name: coinRegistry.nameOf(coinUpper),
+    variant,
+    ...result,
+    ...paymentFields(PRICE),
+  });
+});
+
+// GET /v1/market - every supported coin combined into one 0-100 gauge
+app.get('/v1/market', asyncRoute(async (req, res) => {
+  const callerCaps = req.query?.caps ? parseMarketCaps(String(req.query.caps)) : null;
+  const caps = callerCaps || marketCaps;
+  const requested = WEIGHTINGS.includes(req.query?.weighting) ? req.query.weighting : MARKET_WEIGHTING;
+  // Without a market-cap table, marketcap weighting falls back to equal
+  const weighting = requested === 'marketcap' && !caps ? 'equal' : requested;
+
+  const options = {
+    depth: req.query?.depth,
+    window: req.query?.window,
+    analyzer: req.query?.analyzer,
+    language: req.query?.language,
+    fresh: wantsFresh(req.headers['cache-control']),
+    shared: new Map(),
+  };
+  const results = await mapWithConcurrency(coinRegistry.symbols(), BATCH_CONCURRENCY, coin => getSentiment(coin, options)
+    .catch(error => {
+      console.error(`   Market ${coin} failed:`, error.message);
+      return { coin, signal: 'UNAVAILABLE' };
+    }));
+  const scored = results.filter(result => result.signal !== 'UNAVAILABLE');
+  const unavailable = results.filter(result => result.signal === 'UNAVAILABLE').map(result => result.coin);
+  // Too few coins for the index to speak for the market: don't settle
+  const minCoins = marketMinCoins();
+  if (scored.length < minCoins) {
+    res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+    throw new ApiError(503, 'DATA_UNAVAILABLE', 'Too few coins could be analyzed right now for a market index. Please try again in a few minutes.', {
+      retryAfterSeconds: RETRY_AFTER_SECONDS,
+      paymentStatus: 'not_settled',
+      coinsIncluded: scored.length,
+      minCoins,
+      unavailable,
+    });
+  }
+
+  res.json({
+    timestamp: new Date().toISOString(),
+    ...computeMarketIndex(scored, { weighting, marketCaps: caps }),
+    coinsIncluded: scored.length,
+    unavailable,
+    // Coins whose score is a stale fallback
+    stale: scored.filter(result => result.stale).map(result => result.coin),
+    ...paymentFields(MARKET_PRICE),
+  });
+}));
+
+// GET /v1/anomalies - coins whose latest snapshot was flagged anomalous
+app.get('/v1/anomalies', (req, res) => {
+  const variant = variantFromQuery(req.query);
+  const since = Date.now() - ANOMALY_MAX_AGE_MINUTES * 60 * 1000;
+  const current = coinRegistry.symbols()
+    .map(coin => historyStore.latest(coin, variant))
+    .filter(snapshot => snapshot && snapshot.at >= since);
+  const strength = snapshot => Math.max(Math.abs(snapshot.zScore ?? 0), Math.abs(snapshot.volumeZScore ?? 0));
+
+  res.json({
+    timestamp: new Date().toISOString(),
+    variant,
+    threshold: MOMENTUM_OPTIONS.threshold,
+    coinsChecked: current.length,
+    anomalies: current
+      .filter(snapshot => snapshot.anomalyReasons?.length > 0)
+      .sort((a, b) => strength(b) - strength(a))
+      .map(snapshot => ({
+        coin: snapshot.coin,
+        name: coinRegistry.nameOf(snapshot.coin),
+        at: new Date(snapshot.at).toISOString(),
+        score: snapshot.score,
+        zScore: snapshot.zScore,
+        postsAnalyzed: snapshot.postsAnalyzed,
+        volumeZScore: snapshot.volumeZScore,
+        reasons: snapshot.anomalyReasons,
+      })),
+    ...paymentFields(PRICE),
+  });
 });
+
 // ============================================
 // FREE ENDPOINTS
 // ============================================
@@ -1167,30 +1844,99 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     version: '2.2.0',
     dataSource: 'Reddit',
-    analyzer: 'VADER',
+    analyzer: analyzers.plan().label,
+    analyzers: analyzers.names,
+  });
+});
+
+// GET /v1/coins - the coin registry: every coin that can be queried and where its posts come from
+app.get('/v1/coins', (req, res) => {
+  const coins = coinRegistry.enabled();
+  res.json({
+    count: coins.length,
+    updatedAt: new Date(coinRegistry.loadedAt).toISOString(),
+    coins: coins.map(({ coin, name, subreddits, aliases, searches }) => ({
+      coin,
+      name,
+      subreddits,
+      aliases,
+      searches: searches.map(search => search.query),
+    })),
   });
 });
 
 app.get('/api', (req, res) => {
+  // Built per request so a registry reload shows up here at once
+  const coins = coinRegistry.symbols();
+  const example = coins[0] || 'BTC';
   res.json({
     name: 'Crypto Sentiment API',
     version: '2.2.0',
     dataSource: 'Reddit (real-time)',
-    analyzer: 'VADER (optimized for social media)',
+    analyzer: analyzers.plan().label,
+    analyzers: analyzers.names,
     payment: {
       protocol: 'x402 v2',
       network: 'Base Mainnet (eip155:8453)',
       price: '$0.03 USDC',
     },
-    supportedCoins: Object.keys(CRYPTO_SUBREDDITS),
+    description: sentimentDescription(),
+    supportedCoins: coins,
     endpoints: {
       '/v1/sentiment/:coin': {
         method: 'GET',
         description: 'Get real-time Reddit sentiment analysis',
         price: '$0.03 USDC',
-        example: '/v1/sentiment/BTC',
+        example: `/v1/sentiment/${example}`,
         protected: true,
       },
+      '/v1/sentiment/batch': {
+        method: 'POST',
+        description: `Sentiment for several coins in one request (body: { "coins": ["BTC", "ETH"] }), ${Math.round(BATCH_DISCOUNT * 100)}% off the per-coin price`,
+        price: `${batchAmount(1, false)} USDC per coin`,
+        example: '/v1/sentiment/batch',
+        protected: true,
+      },
+      '/v1/sentiment/:coin/topics': {
+        method: 'GET',
+        description: 'Trending topics and keywords with their average sentiment',
+        price: '$0.03 USDC',
+        example: `/v1/sentiment/${example}/topics`,
+        protected: true,
+      },
+      '/v1/sentiment/:coin/history': {
+        method: 'GET',
+        description: 'Stored sentiment snapshots as a bucketed time series (JSON or CSV)',
+        price: '$0.03 USDC',
+        example: `/v1/sentiment/${example}/history?interval=1h`,
+        protected: true,
+      },
+      '/v1/backtest/:coin': {
+        method: 'GET',
+        description: 'Backtest stored sentiment signals against local price data: lead/lag correlation, hit rates and strategy P&L',
+        price: '$0.03 USDC',
+        example: `/v1/backtest/${example}?horizons=1h,4h,24h`,
+        protected: true,
+      },
+      '/v1/market': {
+        method: 'GET',
+        description: 'Market sentiment index: 0-100 gauge, most bullish/bearish coins and discussion share (weighting=equal|volume|marketcap)',
+        price: `${MARKET_PRICE} USDC`,
+        example: '/v1/market?weighting=volume',
+        protected: true,
+      },
+      '/v1/anomalies': {
+        method: 'GET',
+        description: 'Coins whose sentiment or post volume currently departs sharply from their baseline',
+        price: '$0.03 USDC',
+        example: '/v1/anomalies',
+        protected: true,
+      },
+      '/v1/coins': {
+        method: 'GET',
+        description: 'Supported coins with their names, subreddits, aliases and searches',
+        protected: false,
+      },
       '/health': {
         method: 'GET',
         description: 'Health check',
@@ -1205,9 +1951,40 @@ app.get('/api', (req, res) => {
   });
 });
 
+// Unknown paths and every error thrown above, as { error: { code, message, details } }
+app.use(notFound);
+app.use(errorHandler);
+
 // ============================================
 // START SERVER
 // ============================================
+console.log(`🪙 Coins: ${coinRegistry.symbols().length} enabled (${coinRegistry.file})`);
+coinRegistry.watch(() => {
+  pipeline = buildPipeline();
+  SUPPORTED_COINS.splice(0, SUPPORTED_COINS.length, ...coinRegistry.symbols());
+  for (const route of SENTIMENT_ROUTES) paymentRoutes[route].description = sentimentDescription();
+});
+
+if (historyStore) {
+  const restored = historyStore.load();
+  console.log(`📈 History loaded (${restored} snapshots)`);
+  historyStore.compact().catch(error => console.error('History compaction failed:', error.message));
+}
+
+if (postStore) {
+  const restored = postStore.load();
+  console.log(`🗄️  Post store loaded (${restored} records)`);
+  startIngestion({
+    coins: () => coinRegistry.symbols(),
+    ingestCoin,
+    // Compacting after each cycle keeps both logs bounded
+    store: {
+      compact: () => Promise.all([postStore.compact(), historyStore?.compact()]),
+    },
+    intervalMs: INGEST_INTERVAL_MINUTES * 60 * 1000,
+  });
+}
+
 app.listen(PORT, () => {
   console.log(`\n🌐 Server running on port ${PORT}`);
   console.log(`📍 Homepage: http://localhost:${PORT}`);
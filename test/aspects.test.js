@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitClauses, textForCoin } from '../lib/aspects.js';
+
+const TICKERS = ['BTC', 'ETH', 'ADA', 'DOGE', 'SOL'];
+const findMentions = text => TICKERS.filter(coin => new RegExp(`\\b${coin}\\b`).test(text));
+
+test('contrast words split a sentence between its coins', () => {
+  assert.deepEqual(splitClauses('BTC is pumping hard but ETH is dumping badly'), ['BTC is pumping hard', 'but ETH is dumping badly']);
+  assert.deepEqual(splitClauses('SOL looks strong whereas ADA keeps bleeding'), ['SOL looks strong', 'whereas ADA keeps bleeding']);
+});
+
+test('switching from one coin to another attributes each side', () => {
+  const text = 'Dumping my DOGE to buy more ETH';
+  assert.equal(textForCoin(text, 'DOGE', findMentions).text, 'Dumping my DOGE');
+  assert.equal(textForCoin(text, 'ETH', findMentions).text, 'to buy more ETH');
+});
+
+test('coordinated coins share what is said about them', () => {
+  const text = 'I hold ETH and BTC, both are great';
+  assert.equal(textForCoin(text, 'ETH', findMentions).text, 'I hold ETH and BTC both are great');
+  assert.equal(textForCoin(text, 'BTC', findMentions).text, 'I hold ETH and BTC both are great');
+});
+
+test('a comparison is not cut at "than"', () => {
+  const text = 'ETH is better than ADA for staking rewards';
+  assert.deepEqual(splitClauses(text), [text]);
+  assert.equal(textForCoin(text, 'ADA', findMentions).text, text);
+});
+
+test('text naming a single coin is returned whole', () => {
+  assert.deepEqual(textForCoin('BTC to the moon. So bullish.', 'BTC', findMentions), { text: 'BTC to the moon. So bullish.', multiCoin: false });
+});
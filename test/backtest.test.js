@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, parsePrices, runBacktest } from '../lib/backtest.js';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+
+// Hourly opens: 1h returns are +10%, -10%, 0%, +21.2%, +10%
+const candles = [100, 110, 99, 99, 120, 132].map((open, i) => ({ at: T0 + i * HOUR, open, high: open, low: open, close: open }));
+
+const snapshot = (hour, signal, score = 0) => ({ at: T0 + hour * HOUR, signal, score });
+const snapshots = [
+  snapshot(0, 'BULLISH', 0.4),
+  snapshot(1, 'BEARISH', -0.3),
+  snapshot(2, 'VERY_BULLISH', 0.6),
+  snapshot(3, 'NEUTRAL', 0),
+  snapshot(4, 'VERY_BEARISH', -0.5),
+];
+
+test('parseDuration accepts m, h and d', () => {
+  assert.equal(parseDuration('15m'), 15 * 60 * 1000);
+  assert.equal(parseDuration('4h'), 4 * HOUR);
+  assert.equal(parseDuration('7d'), 7 * 24 * HOUR);
+  assert.equal(parseDuration('1w'), null);
+});
+
+test('parsePrices reads CSV and JSON rows in time order', () => {
+  const csv = parsePrices('time,open,high,low,close\n1767229200,2,3,1,2\n1767225600,1,2,1,2\n', 'BTC.csv');
+  assert.deepEqual(csv.map(candle => candle.open), [1, 2]);
+  assert.equal(csv[0].at, 1767225600 * 1000);
+
+  const json = parsePrices(JSON.stringify([[1767225600000, 5, 6, 4, 5]]), 'BTC.json');
+  assert.deepEqual(json, [{ at: 1767225600000, open: 5, high: 6, low: 4, close: 5 }]);
+  assert.throws(() => parsePrices('[]', 'BTC.json'), /No OHLC candles/);
+});
+
+test('hit rates count directional signals that moved the right way', () => {
+  const [hourly] = runBacktest(snapshots, candles, { horizons: [HOUR], maxLag: 0 }).hitRates;
+  // Bullish: +10% hit, 0% miss. Bearish: -10% hit, +10% miss
+  assert.deepEqual(hourly, {
+    horizon: '1h',
+    bullish: { signals: 2, hits: 1, hitRate: 0.5, averageReturn: 0.05 },
+    bearish: { signals: 2, hits: 1, hitRate: 0.5, averageReturn: 0 },
+    hitRate: 0.5,
+  });
+});
+
+test('strategy compounds long/short returns against buy-and-hold', () => {
+  const { strategy } = runBacktest(snapshots, candles, { feeBps: 0, maxLag: 0 });
+  // 1.1 long, 1.1 short of a fall, flat 0%, neutral, 0.9 short of a rise
+  assert.equal(strategy.totalReturn, 0.089);
+  assert.equal(strategy.buyAndHoldReturn, 0.32);
+  assert.equal(strategy.maxDrawdown, 0.1);
+  assert.equal(strategy.trades, 5);
+  assert.equal(strategy.periods, 5);
+  assert.equal(strategy.exposure, 0.8);
+});
+
+test('strategy charges fees per unit of position change and can stay long-only', () => {
+  const { strategy } = runBacktest(snapshots, candles, { feeBps: 100, longOnly: true, maxLag: 0 });
+  // Four 1% fees around two long periods of +10% and 0%
+  assert.equal(strategy.totalReturn, round(0.99 ** 4 * 1.1 - 1));
+  assert.equal(strategy.trades, 4);
+  assert.equal(strategy.exposure, 0.4);
+});
+
+test('snapshots outside the price range are left out', () => {
+  const result = runBacktest([
+    snapshot(-2, 'BULLISH', 0.5),
+    ...snapshots,
+    snapshot(5, 'BULLISH', 0.5),
+    snapshot(8, 'BEARISH', -0.5),
+  ], candles, { feeBps: 0, maxLag: 0 });
+
+  // Hour 5 is the last candle: sampled, but its 1h exit is past the data
+  assert.equal(result.samples, 6);
+  assert.equal(result.from, new Date(T0).toISOString());
+  assert.equal(result.strategy.periods, 5);
+  assert.equal(result.strategy.buyAndHoldReturn, 0.32);
+});
+
+test('lead/lag correlation pairs each score with the following return', () => {
+  const { correlation } = runBacktest(snapshots, candles, { maxLag: 1 });
+  assert.deepEqual(correlation.lags.map(entry => [entry.lag, entry.pairs]), [[-1, 4], [0, 5], [1, 4]]);
+  assert.ok(correlation.best);
+});
+
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
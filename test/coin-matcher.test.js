@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCoinMatcher } from '../lib/coin-matcher.js';
+import { parseCoins } from '../lib/coins.js';
+
+const matcher = createCoinMatcher({
+  BTC: { tickers: ['BTC'], names: ['bitcoin'] },
+  LINK: { strictTickers: ['LINK'], names: ['chainlink'], exclude: ['link in bio'] },
+  PEPE: { tickers: [], names: ['pepecoin'] },
+});
+
+test('tickers, cashtags and names are matched as whole words', () => {
+  assert.deepEqual(matcher.mentions('Stacking btc and $LINK'), ['BTC', 'LINK']);
+  assert.deepEqual(matcher.mentions('Bitcoin is up'), ['BTC']);
+  assert.deepEqual(matcher.mentions('BTCUSD pair'), []);
+});
+
+test('strict tickers need capitals or a cashtag, and excludes are skipped', () => {
+  assert.equal(matcher.mentionsCoin('click the link', 'LINK'), false);
+  assert.equal(matcher.mentionsCoin('LINK is pumping', 'LINK'), true);
+  assert.equal(matcher.mentionsCoin('LINK IN BIO', 'LINK'), false);
+});
+
+test('a coin without tickers has no cashtag pattern that matches every $', () => {
+  assert.equal(matcher.mentionsCoin('Bought at $40k, now $38k', 'PEPE'), false);
+  assert.equal(matcher.mentionsCoin('pepecoin is back', 'PEPE'), true);
+});
+
+test('the registry rejects alias entries without any ticker', () => {
+  const coin = aliases => ({ coins: { PEPE: { subreddits: ['pepecoin'], aliases } } });
+  assert.throws(() => parseCoins(coin({ tickers: [], names: ['pepecoin'] })), /PEPE aliases need at least one ticker/);
+  assert.throws(() => parseCoins(coin({ strictTickers: [] })), /PEPE aliases need at least one ticker/);
+  assert.deepEqual(parseCoins(coin({ names: ['pepecoin'] })).PEPE.aliases, { names: ['pepecoin'] });
+});
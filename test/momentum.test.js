@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureMomentum } from '../lib/momentum.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 8);
+
+// One snapshot per hour for the last `hours` hours
+function history(hours, score = hour => 0.1 + (hour % 3) * 0.05) {
+  return Array.from({ length: hours }, (_, i) => ({ at: NOW - (hours - i) * HOUR, score: score(i), postsAnalyzed: 20 + (i % 4) }));
+}
+
+test('z-scores compare the score with the hourly baseline', () => {
+  const momentum = measureMomentum({ at: NOW, score: 0.9, postsAnalyzed: 21 }, history(48));
+  assert.equal(momentum.baselinePoints, 48);
+  assert.ok(momentum.zScore > 3);
+  assert.deepEqual(momentum.anomalyReasons, ['sentiment']);
+});
+
+test('below minPoints there is no z-score', () => {
+  const momentum = measureMomentum({ at: NOW, score: 0.9, postsAnalyzed: 21 }, history(5));
+  assert.equal(momentum.zScore, null);
+  assert.equal(momentum.volumeZScore, null);
+});
+
+test('a minPoints of 1 still needs two points for a spread', () => {
+  const one = measureMomentum({ at: NOW, score: 0.9, postsAnalyzed: 21 }, history(1), { minPoints: 1 });
+  assert.deepEqual([one.zScore, one.volumeZScore, one.anomalyReasons], [null, null, []]);
+
+  const two = measureMomentum({ at: NOW, score: 0.9, postsAnalyzed: 21 }, history(2), { minPoints: 1 });
+  assert.ok(Number.isFinite(two.zScore));
+});
+
+test('a flat baseline uses the spread floor instead of dividing by zero', () => {
+  const momentum = measureMomentum({ at: NOW, score: 0.14, postsAnalyzed: 20 }, history(24, () => 0.1), { minPoints: 12 });
+  assert.equal(momentum.zScore, 2);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodeEntities,
+  stripCode,
+  stripQuotes,
+  stripUrls,
+  stripMarkdown,
+  mapEmoji,
+  expandAbbreviations,
+  collapseWhitespace,
+  ABBREVIATIONS,
+  parseSteps,
+  createNormalizer,
+  splitSentences,
+  chunkText,
+  STEP_ORDER,
+} from '../lib/normalize.js';
+import { loadLexicon, createLexiconScorer } from '../lib/crypto-lexicon.js';
+
+test('decodeEntities decodes named and numeric entities', () => {
+  assert.equal(decodeEntities('Tom &amp; Jerry &gt; &quot;cats&quot;'), 'Tom & Jerry > "cats"');
+  assert.equal(decodeEntities('&#39;hi&#x27; &hellip;'), "'hi' ...");
+  assert.equal(decodeEntities('&bogus; &#0;'), '&bogus; &#0;');
+});
+
+test('stripCode removes fenced, indented and inline code', () => {
+  assert.equal(stripCode('before\n```\nconst x = 1;\n```\nafter').trim(), 'before\n \nafter');
+  assert.equal(stripCode('text\n    indented code\nmore'), 'text\n\nmore');
+  assert.equal(stripCode('run `npm test` now'), 'run   now');
+});
+
+test('stripQuotes drops quoted lines, raw or entity-encoded', () => {
+  assert.equal(stripQuotes('> this is terrible\nI disagree'), '\nI disagree');
+  assert.equal(stripQuotes('&gt; quoted\nmine'), '\nmine');
+});
+
+test('stripUrls keeps link text and drops URLs and subreddit/user links', () => {
+  assert.equal(stripUrls('see [the chart](https://example.com/x)'), 'see the chart');
+  assert.equal(stripUrls('go to https://example.com now').replace(/\s+/g, ' '), 'go to now');
+  assert.equal(stripUrls('ask r/bitcoin or /u/satoshi').replace(/\s+/g, ' ').trim(), 'ask or');
+});
+
+test('stripMarkdown removes headings, lists, emphasis and tables', () => {
+  assert.equal(stripMarkdown('## Big news'), 'Big news');
+  assert.equal(stripMarkdown('- one\n2. two'), 'one\ntwo');
+  assert.equal(stripMarkdown('**very** *much* _so_ ~~not~~ >!spoiler!<'), 'very much so not spoiler');
+  assert.equal(stripMarkdown('| a | b |\n|---|---|\n| 1 | 2 |').replace(/\s+/g, ' ').trim(), 'a b 1 2');
+  assert.equal(stripMarkdown('snake_case_name'), 'snake_case_name');
+});
+
+test('mapEmoji resolves shortcodes and maps emoji to words', () => {
+  assert.equal(mapEmoji(':rocket: moon'), '🚀 moon');
+  assert.equal(mapEmoji('lol 😂').trim(), 'lol  haha');
+  assert.equal(mapEmoji(':unknown:'), ':unknown:');
+});
+
+test('expandAbbreviations expands whole words only', () => {
+  assert.equal(expandAbbreviations('IMO this is fine btw'), 'in my opinion this is fine by the way');
+  assert.equal(expandAbbreviations('ryan is here'), 'ryan is here');
+});
+
+test('no abbreviation expansion changes the sentiment score', () => {
+  const scorer = createLexiconScorer(loadLexicon());
+  for (const [abbreviation, expansion] of Object.entries(ABBREVIATIONS)) {
+    for (const text of [`${abbreviation}`, `buy now ${abbreviation}`, `this is bad ${abbreviation}`]) {
+      assert.equal(
+        scorer.polarityScores(text.replace(abbreviation, expansion)).compound,
+        scorer.polarityScores(text).compound,
+        `"${abbreviation}" => "${expansion}" in "${text}"`,
+      );
+    }
+  }
+});
+
+test('greetings and 🔥 are left for the scorer as they are', () => {
+  assert.equal(expandAbbreviations('gm gg ty'), 'gm gg ty');
+  assert.equal(mapEmoji('🔥'), '🔥');
+});
+
+test('collapseWhitespace collapses spaces but keeps line breaks', () => {
+  assert.equal(collapseWhitespace('  a   b \n\n\n\n c\t d  '), 'a b\n\nc d');
+});
+
+test('parseSteps defaults to every step and rejects unknown ones', () => {
+  assert.deepEqual(parseSteps(''), STEP_ORDER);
+  assert.deepEqual(parseSteps('urls, emoji'), ['urls', 'emoji']);
+  assert.throws(() => parseSteps('urls,nope'), /Unknown normalization step "nope"/);
+});
+
+test('createNormalizer chains the chosen steps', () => {
+  const normalize = createNormalizer();
+  assert.equal(normalize('&gt; quoted\n**Great** news, imo :rocket: https://x.co'), 'Great news, in my opinion 🚀');
+  assert.equal(createNormalizer(['urls'])('**bold** https://x.co'), '**bold**');
+});
+
+test('splitSentences splits on end punctuation and line breaks', () => {
+  assert.deepEqual(splitSentences('One. Two! Three?\nFour'), ['One.', 'Two!', 'Three?', 'Four']);
+});
+
+test('chunkText packs whole sentences up to maxChars', () => {
+  assert.deepEqual(chunkText('Aaaa. Bbbb. Cccc.', { maxChars: 11 }), ['Aaaa. Bbbb.', 'Cccc.']);
+  assert.deepEqual(chunkText('Short.'), ['Short.']);
+  assert.deepEqual(chunkText(''), []);
+});
+
+test('chunkText cuts an overlong sentence and caps the chunk count', () => {
+  assert.deepEqual(chunkText('abcdefghij. xy.', { maxChars: 4 }), ['abcd', 'xy.']);
+  assert.equal(chunkText('A. B. C. D. E.', { maxChars: 2, maxChunks: 3 }).length, 3);
+});
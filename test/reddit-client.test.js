@@ -0,0 +1,159 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createRedditClient, createTokenBucket } from '../lib/reddit-client.js';
+
+// One local server stands in for the token endpoint, oauth.reddit.com and
+// the public JSON endpoints; each test sets how it answers
+let server;
+let base;
+let requests;
+let respond;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ method: req.method, path: req.url.split('?')[0], authorization: req.headers.authorization });
+    const { status = 200, headers = {}, body = {} } = respond(req) || {};
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+});
+
+function oauthClient(options = {}) {
+  return createRedditClient({
+    clientId: 'id',
+    clientSecret: 'secret',
+    tokenUrl: `${base}/token`,
+    oauthBase: `${base}/oauth`,
+    publicBase: `${base}/public`,
+    ...options,
+  });
+}
+
+const listing = { data: { children: [] } };
+
+test('OAuth requests carry the bearer token', async () => {
+  respond = req => (req.url === '/token'
+    ? { body: { access_token: 'tok-1', expires_in: 3600 } }
+    : { body: listing });
+
+  const client = oauthClient();
+  assert.equal(client.authenticated, true);
+  assert.deepEqual(await client.get('/r/bitcoin/hot', { limit: 5 }), listing);
+  assert.deepEqual(requests.map(request => request.path), ['/token', '/oauth/r/bitcoin/hot']);
+  assert.equal(requests[1].authorization, 'Bearer tok-1');
+});
+
+test('a 401 refreshes the token and retries once', async () => {
+  let issued = 0;
+  respond = req => {
+    if (req.url === '/token') return { body: { access_token: `tok-${++issued}`, expires_in: 3600 } };
+    return req.headers.authorization === 'Bearer tok-1' ? { status: 401 } : { body: listing };
+  };
+
+  const client = oauthClient();
+  assert.deepEqual(await client.get('/r/bitcoin/hot'), listing);
+  assert.deepEqual(requests.map(request => request.path), ['/token', '/oauth/r/bitcoin/hot', '/token', '/oauth/r/bitcoin/hot']);
+  assert.equal(requests[3].authorization, 'Bearer tok-2');
+});
+
+test('x-ratelimit headers pause requests until the reset', async () => {
+  let calls = 0;
+  respond = req => {
+    if (req.url === '/token') return { body: { access_token: 'tok', expires_in: 3600 } };
+    calls++;
+    return { headers: { 'x-ratelimit-remaining': calls === 1 ? '0' : '50', 'x-ratelimit-reset': '1' }, body: listing };
+  };
+
+  const client = oauthClient();
+  await client.get('/r/bitcoin/hot');
+  const started = Date.now();
+  await client.get('/r/bitcoin/new');
+  assert.ok(Date.now() - started >= 900, `second request waited ${Date.now() - started}ms`);
+});
+
+test('a failed token request falls back to the public endpoints', async () => {
+  respond = req => (req.url === '/token' ? { status: 500 } : { body: listing });
+
+  const client = oauthClient();
+  assert.deepEqual(await client.get('/r/bitcoin/hot'), listing);
+  assert.deepEqual(requests.map(request => request.path), ['/token', '/public/r/bitcoin/hot.json']);
+  assert.equal(requests[1].authorization, undefined);
+});
+
+test('a 404 from OAuth is not retried publicly', async () => {
+  respond = req => (req.url === '/token' ? { body: { access_token: 'tok', expires_in: 3600 } } : { status: 404 });
+
+  const client = oauthClient();
+  await assert.rejects(client.get('/r/nosuchsub/hot'), { status: 404 });
+  assert.deepEqual(requests.map(request => request.path), ['/token', '/oauth/r/nosuchsub/hot']);
+});
+
+test('without credentials only the public endpoints are used', async () => {
+  respond = () => ({ body: listing });
+
+  const client = createRedditClient({ publicBase: `${base}/public` });
+  assert.equal(client.authenticated, false);
+  await client.get('/search', { q: 'bitcoin' });
+  assert.deepEqual(requests.map(request => request.path), ['/public/search.json']);
+});
+
+test('a 429 without reset headers backs off before retrying', async () => {
+  let calls = 0;
+  respond = req => {
+    if (req.url === '/token') return { body: { access_token: 'tok', expires_in: 3600 } };
+    return ++calls === 1 ? { status: 429 } : { body: listing };
+  };
+
+  const client = oauthClient({ rateLimitBackoffMs: 300 });
+  const started = Date.now();
+  assert.deepEqual(await client.get('/r/bitcoin/hot'), listing);
+  assert.ok(Date.now() - started >= 250, `retry came after ${Date.now() - started}ms`);
+  assert.equal(calls, 2);
+});
+
+test('a 429 honours Retry-After over the minimum backoff', async () => {
+  let calls = 0;
+  respond = req => {
+    if (req.url === '/token') return { body: { access_token: 'tok', expires_in: 3600 } };
+    return ++calls === 1 ? { status: 429, headers: { 'retry-after': '1' } } : { body: listing };
+  };
+
+  const client = oauthClient({ rateLimitBackoffMs: 100 });
+  const started = Date.now();
+  await client.get('/r/bitcoin/hot');
+  assert.ok(Date.now() - started >= 900, `retry came after ${Date.now() - started}ms`);
+});
+
+test('interactive takes are served before queued background ones', async () => {
+  // One token up front, then one every 50ms
+  const bucket = createTokenBucket({ ratePerMinute: 1200, burst: 1 });
+  await bucket.take();
+  const order = [];
+  const takes = [
+    bucket.take(undefined, { background: true }).then(() => order.push('background 1')),
+    bucket.take(undefined, { background: true }).then(() => order.push('background 2')),
+    bucket.take().then(() => order.push('interactive')),
+  ];
+  await Promise.all(takes);
+  assert.deepEqual(order, ['interactive', 'background 1', 'background 2']);
+});
+
+test('an aborted take leaves the queue at once', async () => {
+  const bucket = createTokenBucket({ ratePerMinute: 60, burst: 1 });
+  await bucket.take();
+  const controller = new AbortController();
+  const started = Date.now();
+  const waiting = bucket.take(controller.signal);
+  setTimeout(() => controller.abort(), 50);
+  await waiting;
+  assert.ok(Date.now() - started < 500, `abort took ${Date.now() - started}ms`);
+});
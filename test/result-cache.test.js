@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResultCache } from '../lib/result-cache.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('concurrent callers of one key share a computation', async () => {
+  const cache = createResultCache({ ttlMs: 60000 });
+  let runs = 0;
+  const compute = async () => {
+    runs++;
+    await tick();
+    return runs;
+  };
+
+  const [a, b] = await Promise.all([cache.get('BTC', compute), cache.get('BTC', compute)]);
+  assert.equal(runs, 1);
+  assert.equal(a.value, b.value);
+  assert.equal((await cache.get('BTC', compute)).hit, true);
+});
+
+test('a fresh caller skips the cached value and replaces it', async () => {
+  const cache = createResultCache({ ttlMs: 60000 });
+  await cache.get('BTC', async () => 'old');
+  const fresh = await cache.get('BTC', async () => 'new', { fresh: true });
+  assert.deepEqual([fresh.value, fresh.hit], ['new', false]);
+  assert.equal((await cache.get('BTC', async () => 'unused')).value, 'new');
+});
+
+test('a refresh and a fresh request running together do not share a flight', async () => {
+  const cache = createResultCache({ ttlMs: 60000 });
+  const refresh = cache.get('BTC', async () => {
+    await tick();
+    return 'store';
+  }, { fresh: true, flight: 'refresh' });
+  const fresh = cache.get('BTC', async () => {
+    await tick();
+    return 'live';
+  }, { fresh: true, flight: 'fresh' });
+
+  assert.equal((await refresh).value, 'store');
+  assert.equal((await fresh).value, 'live');
+});
+
+test('lastGood keeps an expired entry for staleMs', async () => {
+  const cache = createResultCache({ ttlMs: 1, staleMs: 60000 });
+  await cache.get('BTC', async () => 'good');
+  await tick();
+  assert.equal(cache.lastGood('BTC').value, 'good');
+  assert.equal(createResultCache({ ttlMs: 1 }).lastGood('BTC'), null);
+});
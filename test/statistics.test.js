@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { weightedMean, effectiveSampleSize, bootstrapInterval } from '../lib/statistics.js';
+
+const samples = [0.5, -0.2, 0.8, 0.1, 0.4, -0.6].map((value, i) => ({ value, weight: 1 + i }));
+
+test('weightedMean and effectiveSampleSize follow the weights', () => {
+  assert.equal(weightedMean([{ value: 1, weight: 3 }, { value: -1, weight: 1 }]), 0.5);
+  assert.equal(effectiveSampleSize([{ weight: 1 }, { weight: 1 }]), 2);
+  assert.equal(effectiveSampleSize([]), 0);
+});
+
+test('bootstrapInterval brackets the weighted mean', () => {
+  const interval = bootstrapInterval([{ samples, share: 1 }]);
+  assert.equal(interval.method, 'bootstrap-percentile');
+  assert.ok(interval.lower <= weightedMean(samples) && weightedMean(samples) <= interval.upper);
+  assert.deepEqual(bootstrapInterval([{ samples, share: 1 }]), interval);
+});
+
+test('bootstrapInterval gives no interval for too few samples or resamples', () => {
+  for (const options of [{ resamples: 0 }, { resamples: 1 }, { resamples: NaN }]) {
+    const interval = bootstrapInterval([{ samples, share: 1 }], options);
+    assert.deepEqual([interval.method, interval.lower, interval.upper], ['none', null, null]);
+  }
+  assert.equal(bootstrapInterval([{ samples: samples.slice(0, 1), share: 1 }]).method, 'none');
+});